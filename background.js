@@ -3,27 +3,176 @@
 
 'use strict';
 
+// 設定の保存先・対応サイトの定義（コンテンツスクリプト・ポップアップと共用）・ワールド名の照合・表示する文字列
+importScripts('settings.js', 'sites.js', 'matching.js', 'i18n.js');
+
 // ============================================================================
 // 定数定義
 // ============================================================================
 
+/** 設定の読み書き（settings.js） */
+const Settings = globalThis.VRCWorldSettings;
+
+/** 対応サイトの定義（sites.js） */
+const Sites = globalThis.VRCWorldSites;
+
+/** ワールド名の照合（matching.js） */
+const Matching = globalThis.VRCWorldMatching;
+
+/** 表示する文字列（i18n.js） */
+const I18n = globalThis.VRCWorldI18n;
+
 /** VRChat API のベースURL */
 const VRCHAT_API_BASE = 'https://api.vrchat.cloud/api/1';
 
+/** VRChat WebサイトURL */
+const VRCHAT_WEB_BASE = 'https://vrchat.com/home';
+
 /** 検索結果の取得件数 */
 const SEARCH_RESULT_COUNT = 10;
 
+/** 候補選択モードで返す候補の件数 */
+const CANDIDATE_COUNT = 5;
+
+/** ワールド解決キャッシュの有効期間（ミリ秒）: 7日 */
+const WORLD_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/** ワールド解決キャッシュの最大件数 */
+const WORLD_CACHE_MAX_ENTRIES = 500;
+
+/** インスタンスタイプごとの作成パラメータ */
+const INSTANCE_TYPES = {
+    public: { type: 'public' },
+    friendsPlus: { type: 'hidden' },
+    friends: { type: 'friends' },
+    invite: { type: 'private', canRequestInvite: false },
+    group: { type: 'group', groupAccessType: 'members' }
+};
+
+/** 作成できるインスタンスのリージョン */
+const INSTANCE_REGIONS = ['us', 'use', 'eu', 'jp'];
+
+/** インスタンス作成のデフォルト設定 */
+const DEFAULT_INSTANCE_TYPE = 'invite';
+const DEFAULT_INSTANCE_REGION = 'jp';
+
+/** お気に入りグループ一覧のキャッシュ有効期間（ミリ秒）: 1時間 */
+const FAVORITE_GROUPS_TTL_MS = 60 * 60 * 1000;
+
+/** お気に入り済みワールド一覧のキャッシュ有効期間（ミリ秒）: 10分 */
+const FAVORITE_WORLDS_TTL_MS = 10 * 60 * 1000;
+
+/** お気に入り一覧の1ページあたりの取得件数 */
+const FAVORITES_PAGE_SIZE = 100;
+
+/** お気に入り一覧の最大取得ページ数 */
+const FAVORITES_MAX_PAGES = 10;
+
+/** 履歴の保存件数のデフォルト値 */
+const DEFAULT_HISTORY_LIMIT = 200;
+
+/** 履歴の保存件数として選べる値 */
+const HISTORY_LIMITS = [50, 100, 200, 500, 1000];
+
+/** 履歴の種類 */
+const HISTORY_TYPES = ['open', 'search', 'invite', 'favorite'];
+
+/** 追加サイト（Bluesky・Misskey）用に登録するコンテンツスクリプトのID */
+const SITE_CONTENT_SCRIPT_ID = 'extra-sites';
+
+/** 追加サイトに登録するコンテンツスクリプト（manifest.json の content_scripts と同じ構成） */
+const SITE_CONTENT_SCRIPT_FILES = {
+    js: ['settings.js', 'i18n.js', 'detection.js', 'sites.js', 'content.js'],
+    css: ['styles.css']
+};
+
+/** セレクタのヘルスチェック結果 */
+const HEALTH_STATUSES = ['ok', 'fallback', 'broken'];
+
+/** 警告バッジの表示 */
+const BADGE = {
+    WARNING_TEXT: '!',
+    WARNING_COLOR: '#FF4B4B',
+    DEFAULT_TITLE: 'VRC World Opener'
+};
+
+/** VRChat APIへのリクエスト間隔の最小値（ミリ秒）: 1秒あたり2件まで */
+const API_MIN_INTERVAL_MS = 500;
+
+/** レート制限（429）を受けたときの最大リトライ回数 */
+const API_MAX_RETRIES = 3;
+
+/** リトライ待ち時間の初期値（ミリ秒）: Retry-After がない場合、リトライごとに2倍にする */
+const API_BACKOFF_BASE_MS = 2000;
+
+/** リトライ待ち時間の上限（ミリ秒）: これより長く待つ必要がある場合はリトライしない（Service Worker の停止を避けるため） */
+const API_BACKOFF_MAX_MS = 30 * 1000;
+
+/** 2FAの方式ごとの検証エンドポイントとコードの形式・形式が違う場合のメッセージキー（requiresTwoFactorAuth で返される値） */
+const TWO_FACTOR_METHODS = {
+    totp: {
+        endpoint: '/auth/twofactorauth/totp/verify',
+        pattern: /^\d{6}$/,
+        formatErrorKey: 'errorTotpFormat'
+    },
+    emailOtp: {
+        endpoint: '/auth/twofactorauth/emailotp/verify',
+        pattern: /^\d{6}$/,
+        formatErrorKey: 'errorEmailOtpFormat'
+    },
+    otp: {
+        endpoint: '/auth/twofactorauth/otp/verify',
+        pattern: /^[a-z0-9]{4}-?[a-z0-9]{4}$/i,
+        formatErrorKey: 'errorRecoveryCodeFormat'
+    }
+};
+
+/** 選択したテキストに対する右クリックメニューの項目 */
+const SELECTION_MENU_ITEMS = {
+    OPEN: 'open-selection',
+    SEARCH: 'search-selection',
+    CANDIDATES: 'candidates-selection'
+};
+
+/** 右クリックメニューで検索に使う選択テキストの最大文字数 */
+const SELECTION_MAX_LENGTH = 100;
+
+/** ワールド候補の一覧ページ */
+const CANDIDATES_PAGE = 'candidates.html';
+
+/** テキスト中のワールドID */
+const WORLD_ID_PATTERN = /wrld_[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}/i;
+
+/** アドレスバーのキーワード入力から候補を検索するまでの待ち時間（ミリ秒） */
+const OMNIBOX_DEBOUNCE_MS = 300;
+
+/** アドレスバーで候補を検索する最小文字数 */
+const OMNIBOX_MIN_QUERY_LENGTH = 2;
+
+/** アドレスバーに表示する候補の件数 */
+const OMNIBOX_SUGGESTION_COUNT = 5;
+
+/** セッションを定期的に確認するアラームの名前 */
+const SESSION_CHECK_ALARM = 'sessionCheck';
+
+/** セッションを確認する間隔（分） */
+const SESSION_CHECK_INTERVAL_MINUTES = 30;
+
+/** 再ログイン用に開くウィンドウ（ポップアップと同じページを再ログインモードで開く） */
+const RELOGIN_WINDOW = {
+    URL: 'popup.html?relogin=1',
+    WIDTH: 360,
+    HEIGHT: 640
+};
+
+/** レート制限でリトライを諦めたときのエラーメッセージのキー */
+const RATE_LIMITED_ERROR_KEY = 'errorRateLimited';
+
 /** User-Agent（VRChat API利用規約準拠） */
 const USER_AGENT = 'VRCWorldOpener/0.1.1β (Chrome Extension; contact: https://github.com/Hijiki-Suzuki/vrchat-world-opener)';
 
-/** ストレージキー */
-const STORAGE_KEYS = {
-    IS_AUTHENTICATED: 'isAuthenticated',
-    DISPLAY_NAME: 'displayName',
-    EXTENSION_ENABLED: 'extensionEnabled',
-    SHOW_OPEN_BTN: 'showOpenBtn',
-    SHOW_SEARCH_BTN: 'showSearchBtn'
-};
+/** ストレージキー（settings.js） */
+const STORAGE_KEYS = Settings.STORAGE_KEYS;
 
 /** メッセージアクション */
 const ACTIONS = {
@@ -31,12 +180,131 @@ const ACTIONS = {
     LOGIN: 'login',
     VERIFY_2FA: 'verify2FA',
     SEARCH_WORLD: 'searchWorld',
-    LOGOUT: 'logout'
+    SAVE_WORLD_CHOICE: 'saveWorldChoice',
+    GET_WORLD_CACHE_STATS: 'getWorldCacheStats',
+    INVALIDATE_WORLD_CACHE: 'invalidateWorldCache',
+    CLEAR_WORLD_CACHE: 'clearWorldCache',
+    GET_WORLD_DETAILS: 'getWorldDetails',
+    GET_RESOLVED_WORLD: 'getResolvedWorld',
+    SELF_INVITE: 'selfInvite',
+    GET_FAVORITE_GROUPS: 'getFavoriteGroups',
+    GET_FAVORITE_STATUS: 'getFavoriteStatus',
+    ADD_FAVORITE: 'addFavorite',
+    ADD_HISTORY: 'addHistory',
+    DELETE_HISTORY: 'deleteHistory',
+    CLEAR_HISTORY: 'clearHistory',
+    SET_HISTORY_LIMIT: 'setHistoryLimit',
+    IMPORT_HISTORY: 'importHistory',
+    REPORT_SELECTOR_HEALTH: 'reportSelectorHealth',
+    REQUEST_RELOGIN: 'requestRelogin',
+    OPEN_WORLD_PAGE: 'openWorldPage',
+    OPEN_SEARCH_PAGE: 'openSearchPage',
+    OPEN_RELOGIN_WINDOW: 'openReloginWindow',
+    GET_WORLD_CANDIDATES: 'getWorldCandidates',
+    GET_LOCALE_MESSAGES: 'getLocaleMessages',
+    LOGOUT: 'logout',
+
+    // コンテンツスクリプトへの通知
+    API_RATE_LIMITED: 'apiRateLimited',
+    RESUME_LOOKUP: 'resumeLookup',
+    CANCEL_LOOKUP: 'cancelLookup',
+    RUN_SHORTCUT: 'runShortcut'
 };
 
+// ============================================================================
+// APIリクエスト（キュー・レート制限）
+// ============================================================================
+
+/** 次のリクエストを送信してよい時刻（エポックミリ秒） */
+let nextRequestAt = 0;
+
+/** @type {Map<string, Promise<Response>>} 実行中のGETリクエスト（同じURLへの同時リクエストを1回にまとめる） */
+const inflightRequests = new Map();
+
+/** @type {Map<number, number>} 応答を待っているタブと、待っているメッセージの件数 */
+const waitingTabs = new Map();
+
+/**
+ * 指定時間待つ
+ * @param {number} ms - 待ち時間（ミリ秒）
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 送信枠を予約し、順番が来るまで待つ
+ * 予約は呼び出された順に行うため、リクエストは最小間隔を空けて先着順に送信される
+ * @returns {Promise<void>}
+ */
+async function waitForRequestSlot() {
+    const now = Date.now();
+    const sendAt = Math.max(now, nextRequestAt);
+    nextRequestAt = sendAt + API_MIN_INTERVAL_MS;
+    if (sendAt > now) {
+        await sleep(sendAt - now);
+    }
+}
+
+/**
+ * Retry-After ヘッダーを待ち時間に変換する
+ * @param {string|null} value - ヘッダーの値（秒数またはHTTP日付）
+ * @returns {number|null} 待ち時間（ミリ秒）、ヘッダーがない・解釈できない場合はnull
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+
+    const trimmed = value.trim();
+    if (/^\d+$/.test(trimmed)) {
+        return Number(trimmed) * 1000;
+    }
+    const date = Date.parse(trimmed);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * レート制限でリトライを待っていることを、応答を待っているタブに知らせる
+ * @param {number} retryInMs - リトライまでの時間（ミリ秒）
+ */
+function notifyRateLimited(retryInMs) {
+    for (const tabId of waitingTabs.keys()) {
+        chrome.tabs.sendMessage(tabId, { action: ACTIONS.API_RATE_LIMITED, retryInMs }).catch(() => {
+            // タブが閉じられた・コンテンツスクリプトがない場合は無視
+        });
+    }
+}
+
+/**
+ * キューの順番を待ってリクエストを送信し、レート制限（429）の場合は待ってからリトライする
+ * @param {string} url - URL
+ * @param {RequestInit} init - fetchオプション
+ * @returns {Promise<Response>} レスポンス（リトライを諦めた場合は429のレスポンス）
+ */
+async function sendWithRetry(url, init) {
+    for (let attempt = 0; ; attempt++) {
+        await waitForRequestSlot();
+        const response = await fetch(url, init);
+        if (response.status !== 429 || attempt >= API_MAX_RETRIES) {
+            return response;
+        }
+
+        const delay = parseRetryAfter(response.headers.get('Retry-After')) ?? API_BACKOFF_BASE_MS * 2 ** attempt;
+        if (delay > API_BACKOFF_MAX_MS) {
+            return response;
+        }
+
+        // 制限中に送っても429になるだけなので、キュー全体を待たせる
+        nextRequestAt = Math.max(nextRequestAt, Date.now() + delay);
+        notifyRateLimited(delay);
+    }
+}
 
 /**
  * VRChat APIへのリクエストを送信する
+ * リクエストはキューを通して間隔を空けて送信され、同じURLへの同時のGETは1回にまとめられる
  * @param {string} endpoint - APIエンドポイント
  * @param {RequestInit} options - fetchオプション
  * @returns {Promise<Response>} レスポンス
@@ -51,8 +319,45 @@ async function fetchVRChatAPI(endpoint, options = {}) {
             ...options.headers
         }
     };
+    const init = { ...defaultOptions, ...options, headers: { ...defaultOptions.headers, ...options.headers } };
+
+    // 更新系のリクエストと、認証情報を付けたリクエスト（ログイン）はまとめない
+    const method = (init.method || 'GET').toUpperCase();
+    if (method !== 'GET' || init.headers.Authorization) {
+        return sendWithRetry(url, init);
+    }
+
+    let pending = inflightRequests.get(url);
+    if (!pending) {
+        pending = sendWithRetry(url, init).finally(() => inflightRequests.delete(url));
+        inflightRequests.set(url, pending);
+    }
 
-    return fetch(url, { ...defaultOptions, ...options, headers: { ...defaultOptions.headers, ...options.headers } });
+    // 本文は1回しか読めないため、呼び出し元ごとに複製を返す
+    const response = await pending;
+    return response.clone();
+}
+
+/**
+ * 応答を待っているタブを記録する（レート制限の通知先）
+ * @param {number|undefined} tabId - 送信元のタブID（ポップアップからの場合はundefined）
+ * @param {Promise<*>} promise - 応答
+ * @returns {Promise<*>} 応答
+ */
+function trackWaitingTab(tabId, promise) {
+    if (tabId === undefined) {
+        return promise;
+    }
+
+    waitingTabs.set(tabId, (waitingTabs.get(tabId) || 0) + 1);
+    return promise.finally(() => {
+        const count = waitingTabs.get(tabId) - 1;
+        if (count > 0) {
+            waitingTabs.set(tabId, count);
+        } else {
+            waitingTabs.delete(tabId);
+        }
+    });
 }
 
 // ============================================================================
@@ -87,10 +392,10 @@ async function checkAuthStatus() {
 async function login(username, password) {
     // 入力値のバリデーション
     if (!username || typeof username !== 'string' || username.trim().length === 0) {
-        return { success: false, error: 'ユーザー名を入力してください' };
+        return { success: false, error: I18n.t('errorUsernameRequired') };
     }
     if (!password || typeof password !== 'string' || password.length === 0) {
-        return { success: false, error: 'パスワードを入力してください' };
+        return { success: false, error: I18n.t('errorPasswordRequired') };
     }
 
     try {
@@ -106,26 +411,26 @@ async function login(username, password) {
         if (response.ok) {
             const data = await response.json();
 
-            // 2FAが必要な場合
+            // 2FAが必要な場合（対応している方式だけを返す）
             if (data.requiresTwoFactorAuth) {
+                const methods = Object.keys(TWO_FACTOR_METHODS)
+                    .filter(method => data.requiresTwoFactorAuth.includes(method));
+                if (methods.length === 0) {
+                    return { success: false, error: I18n.t('errorUnsupported2FA', data.requiresTwoFactorAuth.join(', ')) };
+                }
                 return {
                     success: false,
                     requires2FA: true,
-                    twoFactorAuthType: data.requiresTwoFactorAuth
+                    twoFactorAuthType: methods
                 };
             }
 
-            // 認証情報を保存（パスワードは保存しない）
-            await chrome.storage.local.set({
-                [STORAGE_KEYS.IS_AUTHENTICATED]: true,
-                [STORAGE_KEYS.DISPLAY_NAME]: data.displayName
-            });
-
+            await completeLogin(data.displayName);
             return { success: true, user: data };
         }
 
         // エラーレスポンスの解析
-        let errorMessage = 'ログインに失敗しました';
+        let errorMessage = I18n.t('errorLoginFailed');
         try {
             const errorData = await response.json();
             errorMessage = errorData.error?.message || errorMessage;
@@ -134,52 +439,52 @@ async function login(username, password) {
         }
         return { success: false, error: errorMessage };
     } catch (error) {
-        return { success: false, error: `ネットワークエラー: ${error.message}` };
+        return { success: false, error: I18n.t('errorNetwork', error.message) };
     }
 }
 
 /**
  * 2FA認証を実行する
  * @param {string} code - 認証コード
- * @param {string[]} authType - 認証タイプの配列
+ * @param {string} method - 2FAの方式（totp / emailOtp / otp）
  * @returns {Promise<{success: boolean, error?: string}>}
  */
-async function verify2FA(code, authType) {
+async function verify2FA(code, method) {
     // 入力値のバリデーション
     if (!code || typeof code !== 'string' || code.trim().length === 0) {
-        return { success: false, error: '認証コードを入力してください' };
+        return { success: false, error: I18n.t('errorCodeRequired') };
     }
-    if (!authType || !Array.isArray(authType) || authType.length === 0) {
-        return { success: false, error: '認証タイプが不正です' };
+    if (!Object.hasOwn(TWO_FACTOR_METHODS, method)) {
+        return { success: false, error: I18n.t('errorInvalid2FAMethod') };
     }
 
-    try {
-        const endpoint = authType.includes('totp')
-            ? '/auth/twofactorauth/totp/verify'
-            : '/auth/twofactorauth/emailotp/verify';
+    const { endpoint, pattern, formatErrorKey } = TWO_FACTOR_METHODS[method];
+    // コピー＆ペーストで紛れ込んだ空白は取り除く
+    const normalizedCode = code.replace(/\s/g, '');
+    if (!pattern.test(normalizedCode)) {
+        return { success: false, error: I18n.t(formatErrorKey) };
+    }
 
+    try {
         const response = await fetchVRChatAPI(endpoint, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ code: code.trim() })
+            body: JSON.stringify({ code: normalizedCode })
         });
 
         if (response.ok) {
             // 認証完了後にユーザー情報を取得
             const authStatus = await checkAuthStatus();
             if (authStatus.isAuthenticated && authStatus.user) {
-                await chrome.storage.local.set({
-                    [STORAGE_KEYS.IS_AUTHENTICATED]: true,
-                    [STORAGE_KEYS.DISPLAY_NAME]: authStatus.user.displayName
-                });
+                await completeLogin(authStatus.user.displayName);
             }
             return { success: true };
         }
 
         // エラーレスポンスの解析
-        let errorMessage = '2FA認証に失敗しました';
+        let errorMessage = I18n.t('error2FAFailed');
         try {
             const errorData = await response.json();
             errorMessage = errorData.error?.message || errorMessage;
@@ -188,10 +493,25 @@ async function verify2FA(code, authType) {
         }
         return { success: false, error: errorMessage };
     } catch (error) {
-        return { success: false, error: `ネットワークエラー: ${error.message}` };
+        return { success: false, error: I18n.t('errorNetwork', error.message) };
     }
 }
 
+/**
+ * ログインの完了を記録し、ログイン待ちだった検索を再開する
+ * @param {string} displayName - 表示名
+ */
+async function completeLogin(displayName) {
+    // 認証情報を保存（パスワードは保存しない）
+    await chrome.storage.local.set({
+        [STORAGE_KEYS.IS_AUTHENTICATED]: true,
+        [STORAGE_KEYS.DISPLAY_NAME]: displayName
+    });
+    await chrome.storage.local.remove(STORAGE_KEYS.SESSION_EXPIRED);
+    await updateBadge();
+    await resumePendingLookups();
+}
+
 /**
  * ログアウトする
  * @returns {Promise<{success: boolean, error?: string}>}
@@ -202,105 +522,2017 @@ async function logout() {
             method: 'PUT'
         });
 
+        // お気に入りのキャッシュはアカウントごとに異なるため合わせて削除
         await chrome.storage.local.remove([
             STORAGE_KEYS.IS_AUTHENTICATED,
-            STORAGE_KEYS.DISPLAY_NAME
+            STORAGE_KEYS.DISPLAY_NAME,
+            STORAGE_KEYS.FAVORITE_GROUPS_CACHE,
+            STORAGE_KEYS.FAVORITE_WORLDS_CACHE,
+            STORAGE_KEYS.SESSION_EXPIRED
         ]);
+        await updateBadge();
         return { success: true };
     } catch (error) {
-        return { success: false, error: `ログアウトエラー: ${error.message}` };
+        return { success: false, error: I18n.t('errorLogout', error.message) };
     }
 }
 
 // ============================================================================
-// ワールド検索
+// ワールド解決キャッシュ
 // ============================================================================
 
 /**
- * ワールドを検索する
+ * キャッシュ・選択記憶のキーに使う文字列を正規化する
+ * @param {string|null} value - 対象文字列
+ * @returns {string} 正規化した文字列
+ */
+function normalizeKeyPart(value) {
+    if (!value || typeof value !== 'string') {
+        return '';
+    }
+    return value.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * キャッシュのキーを生成する（作者名が分かる場合は作者名も含める）
  * @param {string} worldName - ワールド名
- * @returns {Promise<{success: boolean, worldId?: string, worldName?: string, needsAuth?: boolean, notFound?: boolean, error?: string}>}
+ * @param {string|null} authorName - 作者名
+ * @returns {string} キー
  */
-async function searchWorld(worldName) {
-    // 入力値のバリデーション
+function toCacheKey(worldName, authorName) {
+    const author = normalizeKeyPart(authorName);
+    const name = normalizeKeyPart(worldName);
+    // ワールド名は改行を含まないため区切り文字として使用
+    return author ? `${name}\n${author}` : name;
+}
+
+/**
+ * 期限切れのエントリを除去し、上限を超えた分を古い順に削除する
+ * @param {Object<string, {worldId: string, worldName: string, cachedAt: number}>} cache - キャッシュ
+ * @param {number} now - 現在時刻（ミリ秒）
+ * @returns {Object<string, {worldId: string, worldName: string, cachedAt: number}>} 整理後のキャッシュ
+ */
+function pruneWorldCache(cache, now) {
+    const entries = Object.entries(cache)
+        .filter(([, entry]) => entry && typeof entry.cachedAt === 'number' && now - entry.cachedAt < WORLD_CACHE_TTL_MS)
+        .sort((a, b) => b[1].cachedAt - a[1].cachedAt)
+        .slice(0, WORLD_CACHE_MAX_ENTRIES);
+    return Object.fromEntries(entries);
+}
+
+/**
+ * キャッシュを読み込む
+ * @returns {Promise<Object<string, {worldId: string, worldName: string, cachedAt: number}>>} キャッシュ
+ */
+async function loadWorldCache() {
+    const stored = await chrome.storage.local.get([STORAGE_KEYS.WORLD_CACHE]);
+    return stored[STORAGE_KEYS.WORLD_CACHE] || {};
+}
+
+/**
+ * キャッシュからワールドを取得する
+ * @param {string} worldName - ワールド名
+ * @param {string|null} authorName - 作者名
+ * @returns {Promise<{worldId: string, worldName: string, confidence?: number, matchLevel?: string, platforms?: string[], cachedAt: number}|null>} キャッシュされたワールド、なければnull
+ */
+async function getCachedWorld(worldName, authorName) {
+    const cache = await loadWorldCache();
+    const entry = cache[toCacheKey(worldName, authorName)];
+    if (!entry || Date.now() - entry.cachedAt >= WORLD_CACHE_TTL_MS) {
+        return null;
+    }
+    return entry;
+}
+
+/**
+ * 解決したワールドをキャッシュに保存する
+ * @param {string} worldName - ポストから検出したワールド名
+ * @param {string|null} authorName - 作者名
+ * @param {{worldId: string, worldName: string, confidence?: number, matchLevel?: string, platforms?: string[]}} world - 解決したワールド
+ */
+async function cacheWorld(worldName, authorName, world) {
+    const now = Date.now();
+    const cache = await loadWorldCache();
+    cache[toCacheKey(worldName, authorName)] = {
+        worldId: world.worldId,
+        worldName: world.worldName,
+        confidence: world.confidence,
+        matchLevel: world.matchLevel,
+        platforms: world.platforms,
+        cachedAt: now
+    };
+    await chrome.storage.local.set({ [STORAGE_KEYS.WORLD_CACHE]: pruneWorldCache(cache, now) });
+}
+
+/**
+ * 指定したワールド名のキャッシュと選択記憶を削除する
+ * @param {string} worldName - ワールド名
+ * @param {string|null} [authorName] - 作者名
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function invalidateWorldCache(worldName, authorName = null) {
     if (!worldName || typeof worldName !== 'string' || worldName.trim().length === 0) {
-        return { success: false, error: 'ワールド名を入力してください' };
+        return { success: false, error: I18n.t('errorWorldNameRequired') };
     }
 
-    const trimmedName = worldName.trim();
+    const stored = await chrome.storage.local.get([STORAGE_KEYS.WORLD_CACHE, STORAGE_KEYS.WORLD_CHOICES]);
+    const cache = stored[STORAGE_KEYS.WORLD_CACHE] || {};
+    const choices = stored[STORAGE_KEYS.WORLD_CHOICES] || {};
 
+    delete cache[toCacheKey(worldName, authorName)];
+    delete choices[toChoiceKey(worldName)];
+
+    await chrome.storage.local.set({
+        [STORAGE_KEYS.WORLD_CACHE]: cache,
+        [STORAGE_KEYS.WORLD_CHOICES]: choices
+    });
+    return { success: true };
+}
+
+/**
+ * キャッシュと選択記憶をすべて削除する
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function clearWorldCache() {
     try {
-        // 認証状態を確認
-        const authStatus = await checkAuthStatus();
-        if (!authStatus.isAuthenticated) {
-            return { success: false, needsAuth: true };
-        }
+        await chrome.storage.local.remove([STORAGE_KEYS.WORLD_CACHE, STORAGE_KEYS.WORLD_CHOICES]);
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: I18n.t('errorClearCache', error.message) };
+    }
+}
+
+/**
+ * キャッシュの件数を取得する
+ * @returns {Promise<{cacheCount: number, choiceCount: number}>}
+ */
+async function getWorldCacheStats() {
+    const stored = await chrome.storage.local.get([STORAGE_KEYS.WORLD_CACHE, STORAGE_KEYS.WORLD_CHOICES]);
+    const cache = pruneWorldCache(stored[STORAGE_KEYS.WORLD_CACHE] || {}, Date.now());
+    const choices = stored[STORAGE_KEYS.WORLD_CHOICES] || {};
+    return {
+        cacheCount: Object.keys(cache).length,
+        choiceCount: Object.keys(choices).length
+    };
+}
+
+// ============================================================================
+// ワールド検索
+// ============================================================================
 
-        // ワールド検索API
-        const searchUrl = `/worlds?search=${encodeURIComponent(trimmedName)}&n=${SEARCH_RESULT_COUNT}&sort=relevance`;
+/**
+ * ワールド検索APIを呼び出す
+ * @param {string} query - 検索文字列
+ * @param {Object<string, string>} [extraParams] - 追加のクエリパラメータ
+ * @returns {Promise<{ok: boolean, rateLimited?: boolean, needsAuth?: boolean, worlds: object[]}>} 検索結果
+ */
+async function fetchWorldSearch(query, extraParams = {}) {
+    const params = new URLSearchParams({
+        search: query,
+        n: String(SEARCH_RESULT_COUNT),
+        sort: 'relevance',
+        ...extraParams
+    });
 
-        const response = await fetchVRChatAPI(searchUrl);
+    const response = await fetchVRChatAPI(`/worlds?${params.toString()}`);
+    if (!response.ok) {
+        return { ok: false, rateLimited: response.status === 429, needsAuth: response.status === 401, worlds: [] };
+    }
 
-        if (response.ok) {
-            const worlds = await response.json();
+    const worlds = await response.json();
+    return { ok: true, worlds: Array.isArray(worlds) ? worlds : [] };
+}
 
-            if (Array.isArray(worlds) && worlds.length > 0) {
-                // 最も一致するワールドを返す（完全一致を優先）
-                const exactMatch = worlds.find(w =>
-                    w.name && w.name.toLowerCase() === trimmedName.toLowerCase()
-                );
+/**
+ * 表示名からユーザーIDを検索する
+ * @param {string} displayName - 表示名
+ * @returns {Promise<string|null>} ユーザーID、見つからない場合はnull
+ */
+async function findUserIdByDisplayName(displayName) {
+    const params = new URLSearchParams({
+        search: displayName,
+        n: String(SEARCH_RESULT_COUNT)
+    });
 
-                if (exactMatch) {
-                    return { success: true, worldId: exactMatch.id, worldName: exactMatch.name };
-                }
+    const response = await fetchVRChatAPI(`/users?${params.toString()}`);
+    if (!response.ok) {
+        return null;
+    }
 
-                // 完全一致がなければ最初の結果を返す
-                const firstWorld = worlds[0];
-                return { success: true, worldId: firstWorld.id, worldName: firstWorld.name };
-            }
+    const users = await response.json();
+    if (!Array.isArray(users)) {
+        return null;
+    }
 
-            return { success: false, notFound: true };
-        }
+    const lowerName = displayName.toLowerCase();
+    const user = users.find(u => u.displayName && u.displayName.toLowerCase() === lowerName);
+    return user ? user.id : null;
+}
 
-        return { success: false, error: 'API リクエストに失敗しました' };
-    } catch (error) {
+/**
+ * ワールド名が一致するか判定する（全角/半角・大文字小文字・記号などの表記ゆれを無視）
+ * @param {object} world - ワールド情報
+ * @param {string} worldName - ワールド名
+ * @returns {boolean} 一致する場合はtrue
+ */
+function isSameWorldName(world, worldName) {
+    return Matching.isSameName(world.name, worldName);
+}
+
+/**
+ * 作者名が一致するか判定する（全角/半角・大文字小文字・記号などの表記ゆれを無視）
+ * @param {object} world - ワールド情報
+ * @param {string|null} authorName - 作者名
+ * @returns {boolean} 一致する場合はtrue
+ */
+function isSameAuthor(world, authorName) {
+    return Matching.isSameName(world.authorName, authorName);
+}
+
+/**
+ * ワールド名・作者名との一致度を算出する
+ * @param {object} world - ワールド情報
+ * @param {string} worldName - 検索したワールド名
+ * @param {string|null} authorName - 作者名
+ * @returns {number} 一致度（大きいほど優先）
+ */
+function scoreWorld(world, worldName, authorName) {
+    let score = 0;
 
-        return { success: false, error: `検索エラー: ${error.message}` };
+    // 作者名の一致を最優先（同名ワールドの判別に使用）
+    if (isSameAuthor(world, authorName)) {
+        score += 3;
     }
+    // 名前は完全一致でなくても近いものほど上位にする（0〜2点）
+    score += 2 * Matching.similarity(world.name, worldName);
+    return score;
 }
 
-// ============================================================================
-// メッセージハンドラー
-// ============================================================================
+/**
+ * 検索結果を一致度順に並べ替える（同点の場合はAPIの並び順を維持）
+ * @param {object[]} worlds - 検索結果
+ * @param {string} worldName - 検索したワールド名
+ * @param {string|null} authorName - 作者名
+ * @returns {object[]} 並べ替えた検索結果
+ */
+function rankWorlds(worlds, worldName, authorName) {
+    return worlds
+        .map((world, index) => ({ world, index, score: scoreWorld(world, worldName, authorName) }))
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map(entry => entry.world);
+}
 
 /**
- * メッセージを処理する
- * @param {object} request - リクエストオブジェクト
- * @returns {Promise<object>} レスポンスオブジェクト
+ * 作者で絞り込んでワールドを検索する
+ * @param {string} worldName - ワールド名
+ * @param {string} authorName - 作者名
+ * @returns {Promise<object|null>} 見つかったワールド、見つからない場合はnull
  */
-async function handleMessage(request) {
-    if (!request || !request.action) {
-        return { error: 'Invalid request: action is required' };
+async function searchWorldByAuthor(worldName, authorName) {
+    const userId = await findUserIdByDisplayName(authorName);
+    if (!userId) {
+        return null;
     }
 
-    switch (request.action) {
-        case ACTIONS.CHECK_AUTH: {
-            const authStatus = await checkAuthStatus();
-            const stored = await chrome.storage.local.get([STORAGE_KEYS.DISPLAY_NAME]);
-            return {
-                isAuthenticated: authStatus.isAuthenticated,
-                displayName: stored[STORAGE_KEYS.DISPLAY_NAME] || authStatus.user?.displayName
-            };
+    const result = await fetchWorldSearch(worldName, { userId });
+    if (!result.ok || result.worlds.length === 0) {
+        return null;
+    }
+
+    // 作者で絞り込み済みのため、完全一致がなくても最も名前が近いものを採用
+    return rankWorlds(result.worlds, worldName, null)[0];
+}
+
+/**
+ * 「ワールド名 by 作者名」形式として分割できる位置をすべて列挙する
+ * 作者名に " by " が含まれることは少ないため、後ろの by で区切る候補から順に返す
+ * @param {string} text - 1行で書かれたワールド名
+ * @returns {{worldName: string, authorName: string}[]} 分割候補
+ */
+function listAuthorSplits(text) {
+    const splits = [];
+    for (const match of text.matchAll(/\s+by\s+/gi)) {
+        const worldName = text.slice(0, match.index).trim();
+        const authorName = text.slice(match.index + match[0].length).trim();
+        if (worldName && authorName) {
+            splits.push({ worldName, authorName });
         }
+    }
+    return splits.reverse();
+}
 
-        case ACTIONS.LOGIN:
-            return login(request.username, request.password);
+/**
+ * 「ワールド名 by 作者名」形式を、APIの作者名と照合して安全に分割する
+ * by の後ろが実際の作者名と一致する分割だけを採用するため、"side by side" のような名前は分割されない
+ * @param {string} text - 1行で書かれたワールド名
+ * @param {object[]} fullTextWorlds - 全体で検索した結果（追加のAPI呼び出しを避けるため先に照合する）
+ * @returns {Promise<object|null>} 分割により特定できたワールド、特定できない場合はnull
+ */
+async function resolveAuthorSplit(text, fullTextWorlds) {
+    const splits = listAuthorSplits(text);
+    if (splits.length === 0) {
+        return null;
+    }
 
-        case ACTIONS.VERIFY_2FA:
-            return verify2FA(request.code, request.authType);
+    // 全体の検索結果で判定できればAPIを追加で呼ばない
+    for (const split of splits) {
+        const world = fullTextWorlds.find(w => isSameWorldName(w, split.worldName) && isSameAuthor(w, split.authorName));
+        if (world) {
+            return world;
+        }
+    }
 
-        case ACTIONS.SEARCH_WORLD:
-            return searchWorld(request.worldName);
+    // 区切り位置ごとに by より前の部分で検索し、作者名が一致するものを採用
+    for (const split of splits) {
+        const result = await fetchWorldSearch(split.worldName);
+        if (!result.ok) {
+            continue;
+        }
+        const world = rankWorlds(result.worlds, split.worldName, split.authorName)
+            .find(w => isSameAuthor(w, split.authorName));
+        if (world) {
+            return world;
+        }
+    }
+    return null;
+}
+
+/**
+ * 解決したワールドを検索結果の形式に整形する
+ * 作者名まで一致したワールドは、名前の表記が多少違っていても推測ではなく確実な一致として扱う
+ * @param {object} world - ワールド情報
+ * @param {string} worldName - 検索したワールド名
+ * @param {boolean} [authorMatched] - 作者名が一致したかどうか
+ * @returns {{success: true, worldId: string, worldName: string, confidence: number, matchLevel: string, platforms: string[]}}
+ */
+function toResolvedWorld(world, worldName, authorMatched = false) {
+    const similarity = Matching.similarity(world.name, worldName);
+    const confidence = authorMatched ? Math.max(similarity, Matching.LIKELY_MATCH_THRESHOLD) : similarity;
+    return {
+        success: true,
+        worldId: world.id,
+        worldName: world.name,
+        confidence,
+        matchLevel: Matching.classifyMatch(confidence),
+        platforms: toPlatforms(world)
+    };
+}
+
+/**
+ * 候補選択用にワールド情報を整形する
+ * @param {object} world - ワールド情報
+ * @returns {{worldId: string, worldName: string, authorName: string, thumbnailImageUrl: string, capacity: number, platforms: string[]}}
+ */
+function toCandidate(world) {
+    return {
+        worldId: world.id,
+        worldName: world.name,
+        authorName: world.authorName || '',
+        thumbnailImageUrl: world.thumbnailImageUrl || world.imageUrl || '',
+        capacity: world.capacity || 0,
+        platforms: toPlatforms(world)
+    };
+}
+
+/**
+ * 選択記憶のキーを生成する
+ * @param {string} worldName - ワールド名
+ * @returns {string} キー
+ */
+function toChoiceKey(worldName) {
+    return normalizeKeyPart(worldName);
+}
+
+/**
+ * ワールド名に対して記憶している選択結果を取得する
+ * @param {string} worldName - ワールド名
+ * @returns {Promise<{worldId: string, worldName: string}|null>} 記憶している選択結果
+ */
+async function getSavedChoice(worldName) {
+    const stored = await chrome.storage.local.get([STORAGE_KEYS.WORLD_CHOICES]);
+    const choices = stored[STORAGE_KEYS.WORLD_CHOICES] || {};
+    return choices[toChoiceKey(worldName)] || null;
+}
+
+/**
+ * 候補から選択されたワールドをワールド名に対して記憶する
+ * @param {string} worldName - ポストから検出したワールド名
+ * @param {string} worldId - 選択されたワールドID
+ * @param {string} [resolvedName] - 選択されたワールドの正式名
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function saveWorldChoice(worldName, worldId, resolvedName) {
+    if (!worldName || typeof worldName !== 'string' || worldName.trim().length === 0) {
+        return { success: false, error: I18n.t('errorWorldNameRequired') };
+    }
+    if (!worldId || typeof worldId !== 'string' || !/^wrld_[a-f0-9-]{36}$/i.test(worldId)) {
+        return { success: false, error: I18n.t('errorInvalidWorldId') };
+    }
+
+    const stored = await chrome.storage.local.get([STORAGE_KEYS.WORLD_CHOICES]);
+    const choices = stored[STORAGE_KEYS.WORLD_CHOICES] || {};
+    choices[toChoiceKey(worldName)] = {
+        worldId,
+        worldName: resolvedName || worldName.trim()
+    };
+    await chrome.storage.local.set({ [STORAGE_KEYS.WORLD_CHOICES]: choices });
+    return { success: true };
+}
+
+/**
+ * 検索APIでワールドを解決する
+ * @param {string} worldName - ワールド名（前後の空白除去済み）
+ * @param {string|null} authorName - 作者名（前後の空白除去済み）
+ * @param {{withCandidates?: boolean}} options - 検索オプション
+ * @returns {Promise<{success: boolean, worldId?: string, worldName?: string, confidence?: number, matchLevel?: string, strategy?: string, searchQuery?: string, candidates?: object[], needsChoice?: boolean, needsAuth?: boolean, notFound?: boolean, rateLimited?: boolean, error?: string}>}
+ */
+async function resolveWorld(worldName, authorName, options) {
+    // 認証状態を確認
+    const authStatus = await checkAuthStatus();
+    if (!authStatus.isAuthenticated) {
+        return { success: false, needsAuth: true };
+    }
+
+    // ワールド検索API
+    const result = await fetchWorldSearch(worldName);
+    if (result.rateLimited) {
+        return { success: false, rateLimited: true, error: I18n.t(RATE_LIMITED_ERROR_KEY) };
+    }
+    if (!result.ok) {
+        return { success: false, error: I18n.t('errorApiRequest') };
+    }
+
+    const ranked = rankWorlds(result.worlds, worldName, authorName);
+
+    // 作者名が別に書かれておらず全体で完全一致しない場合は「ワールド名 by 作者名」として分割を試す
+    if (!authorName && !(ranked.length > 0 && isSameWorldName(ranked[0], worldName))) {
+        const splitWorld = await resolveAuthorSplit(worldName, result.worlds);
+        if (splitWorld) {
+            return toResolvedWorld(splitWorld, worldName, true);
+        }
+    }
+
+    if (authorName) {
+        // 作者名が一致するワールドがあれば優先
+        const authorMatch = ranked.find(w => isSameAuthor(w, authorName));
+        if (authorMatch) {
+            return toResolvedWorld(authorMatch, worldName, true);
+        }
+
+        // 名前検索の結果に含まれない場合は作者で絞り込んで再検索
+        const authorWorld = await searchWorldByAuthor(worldName, authorName);
+        if (authorWorld) {
+            return toResolvedWorld(authorWorld, worldName, true);
+        }
+    }
+
+    // 1件も見つからない場合は検索語を変えて再検索する
+    if (ranked.length === 0) {
+        return resolveWithFallbacks(worldName, authorName, options);
+    }
+
+    // 類似度の高い順に並んでいるため先頭が最も近い
+    const best = toResolvedWorld(ranked[0], worldName);
+
+    // 完全一致がなく候補選択モードの場合は候補一覧を返す
+    if (best.matchLevel !== Matching.MATCH_LEVELS.EXACT && options.withCandidates) {
+        return {
+            success: true,
+            needsChoice: true,
+            candidates: ranked.slice(0, CANDIDATE_COUNT).map(toCandidate)
+        };
+    }
+
+    // 完全一致がなければ最も近い結果を返す（推測かどうかは matchLevel で判別できる）
+    return best;
+}
+
+/**
+ * 検索結果が0件だった場合に、副題を除くなど検索語を変えて順に再検索する
+ * 作者名が一致するか、元のワールド名とほぼ同じ名前のワールドが見つかった時点で打ち切る
+ * 確実な一致がなければ、最初に結果が得られた検索語の中で最も近いものを推測として返す
+ * @param {string} worldName - ワールド名（前後の空白除去済み）
+ * @param {string|null} authorName - 作者名（前後の空白除去済み）
+ * @param {{withCandidates?: boolean}} options - 検索オプション
+ * @returns {Promise<{success: boolean, worldId?: string, worldName?: string, confidence?: number, matchLevel?: string, strategy?: string, searchQuery?: string, candidates?: object[], needsChoice?: boolean, notFound?: boolean, rateLimited?: boolean, error?: string}>}
+ */
+async function resolveWithFallbacks(worldName, authorName, options) {
+    // 確実な一致が見つかった検索と、結果が得られた最初の検索
+    /** @type {{strategy: string, query: string, ranked: object[], authorMatched: boolean}|null} */
+    let hit = null;
+    /** @type {{strategy: string, query: string, ranked: object[], authorMatched: boolean}|null} */
+    let firstHit = null;
+
+    for (const { strategy, query } of Matching.listFallbackQueries(worldName)) {
+        const result = await fetchWorldSearch(query);
+        if (result.rateLimited) {
+            // 混雑している間は再検索を打ち切り、それまでの結果があればそれを使う
+            if (!firstHit) {
+                return { success: false, rateLimited: true, error: I18n.t(RATE_LIMITED_ERROR_KEY) };
+            }
+            break;
+        }
+        if (!result.ok || result.worlds.length === 0) {
+            continue;
+        }
+
+        // 並べ替え・一致度の判定は元のワールド名と比べる
+        // （検索語と比べると、単語だけの検索語「Sakura」で同名の別ワールドが見つかった時点で打ち切ってしまう）
+        const ranked = rankWorlds(result.worlds, worldName, authorName);
+        const authorMatched = isSameAuthor(ranked[0], authorName);
+        const current = { strategy, query, ranked, authorMatched };
+        const matchLevel = Matching.classifyMatch(Matching.similarity(ranked[0].name, worldName));
+        if (authorMatched || matchLevel !== Matching.MATCH_LEVELS.GUESS) {
+            hit = current;
+            break;
+        }
+        firstHit = firstHit || current;
+    }
+
+    if (!hit && !firstHit) {
+        return { success: false, notFound: true };
+    }
+
+    // 確実な一致がなく候補選択モードの場合は候補一覧を返す
+    if (!hit && options.withCandidates) {
+        return {
+            success: true,
+            needsChoice: true,
+            candidates: firstHit.ranked.slice(0, CANDIDATE_COUNT).map(toCandidate),
+            strategy: firstHit.strategy,
+            searchQuery: firstHit.query
+        };
+    }
+
+    // 一致度は元のワールド名と比べる（検索語を変えて見つけた結果は完全一致にならない）
+    const found = hit || firstHit;
+    return {
+        ...toResolvedWorld(found.ranked[0], worldName, found.authorMatched),
+        strategy: found.strategy,
+        searchQuery: found.query
+    };
+}
+
+/**
+ * ワールドを検索する
+ * @param {string} worldName - ワールド名
+ * @param {string|null} [authorName] - 作者名（同名ワールドの絞り込みに使用）
+ * @param {{withCandidates?: boolean, refresh?: boolean}} [options] - withCandidates: 確実な一致がない場合に候補一覧を返す、refresh: キャッシュと選択記憶を破棄して再検索する
+ * @returns {Promise<{success: boolean, worldId?: string, worldName?: string, confidence?: number, matchLevel?: string, platforms?: string[], strategy?: string, searchQuery?: string, fromCache?: boolean, candidates?: object[], needsChoice?: boolean, needsAuth?: boolean, notFound?: boolean, rateLimited?: boolean, error?: string}>}
+ * confidence は名前の類似度（0〜1）、matchLevel は exact（確実）・likely（ほぼ確実）・guess（推測）のいずれか
+ * 検索語を変えて見つけた場合は、strategy に使った戦略（matching.js の FALLBACK_STRATEGIES）、searchQuery に検索語が入る
+ */
+async function searchWorld(worldName, authorName = null, options = {}) {
+    // 入力値のバリデーション
+    if (!worldName || typeof worldName !== 'string' || worldName.trim().length === 0) {
+        return { success: false, error: I18n.t('errorWorldNameRequired') };
+    }
+
+    const trimmedName = worldName.trim();
+    const trimmedAuthor = typeof authorName === 'string' && authorName.trim().length > 0
+        ? authorName.trim()
+        : null;
+
+    try {
+        if (options.refresh) {
+            await invalidateWorldCache(trimmedName, trimmedAuthor);
+        } else {
+            // 以前に候補から選択したワールドがあればそれを使う
+            const savedChoice = await getSavedChoice(trimmedName);
+            if (savedChoice) {
+                // ユーザーが選んだワールドのため確実な一致として扱う
+                return {
+                    success: true,
+                    worldId: savedChoice.worldId,
+                    worldName: savedChoice.worldName,
+                    confidence: 1,
+                    matchLevel: Matching.MATCH_LEVELS.EXACT
+                };
+            }
+
+            // キャッシュにあればAPIを呼ばずに返す
+            const cached = await getCachedWorld(trimmedName, trimmedAuthor);
+            if (cached) {
+                return {
+                    success: true,
+                    worldId: cached.worldId,
+                    worldName: cached.worldName,
+                    confidence: cached.confidence,
+                    matchLevel: cached.matchLevel,
+                    platforms: cached.platforms,
+                    fromCache: true
+                };
+            }
+        }
+
+        const result = await resolveWorld(trimmedName, trimmedAuthor, options);
+        if (result.success && result.worldId) {
+            await cacheWorld(trimmedName, trimmedAuthor, result);
+        }
+        return result;
+    } catch (error) {
+
+        return { success: false, error: I18n.t('errorSearch', error.message) };
+    }
+}
+
+/**
+ * 解決済みのワールドをAPIを呼ばずに取得する（ボタンを表示する時点で対応プラットフォームを示すため）
+ * 候補から別のワールドを選んで記憶している場合は、キャッシュの内容が古いため返さない
+ * @param {string} worldName - ワールド名
+ * @param {string|null} [authorName] - 作者名
+ * @returns {Promise<{success: boolean, world?: {worldId: string, worldName: string, platforms?: string[]}|null, error?: string}>}
+ */
+async function getResolvedWorld(worldName, authorName = null) {
+    if (!worldName || typeof worldName !== 'string' || worldName.trim().length === 0) {
+        return { success: false, error: I18n.t('errorWorldNameRequired') };
+    }
+
+    const trimmedName = worldName.trim();
+    const trimmedAuthor = typeof authorName === 'string' && authorName.trim().length > 0
+        ? authorName.trim()
+        : null;
+
+    const [savedChoice, cached] = await Promise.all([
+        getSavedChoice(trimmedName),
+        getCachedWorld(trimmedName, trimmedAuthor)
+    ]);
+    if (!cached || (savedChoice && savedChoice.worldId !== cached.worldId)) {
+        return { success: true, world: null };
+    }
+    return {
+        success: true,
+        world: { worldId: cached.worldId, worldName: cached.worldName, platforms: cached.platforms }
+    };
+}
+
+/**
+ * リンクから検出したワールドを、以前に解決したワールドのキャッシュからAPIを呼ばずに取得する
+ * @param {string} worldId - ワールドID
+ * @returns {Promise<{success: boolean, world?: {worldId: string, worldName: string, platforms?: string[]}|null, error?: string}>}
+ */
+async function getResolvedWorldById(worldId) {
+    if (!worldId || typeof worldId !== 'string' || !/^wrld_[a-f0-9-]{36}$/i.test(worldId)) {
+        return { success: false, error: I18n.t('errorInvalidWorldId') };
+    }
+
+    const cache = pruneWorldCache(await loadWorldCache(), Date.now());
+    const cached = Object.values(cache).find(entry => entry.worldId === worldId && Array.isArray(entry.platforms));
+    if (!cached) {
+        return { success: true, world: null };
+    }
+    return {
+        success: true,
+        world: { worldId: cached.worldId, worldName: cached.worldName, platforms: cached.platforms }
+    };
+}
+
+/**
+ * ワールド名で検索し、一致度の高い順に候補を返す（候補一覧ページ用）
+ * @param {string} query - 検索文字列
+ * @returns {Promise<{success: boolean, candidates?: object[], needsAuth?: boolean, rateLimited?: boolean, error?: string}>}
+ */
+async function getWorldCandidates(query) {
+    if (!query || typeof query !== 'string' || query.trim().length === 0) {
+        return { success: false, error: I18n.t('errorWorldNameRequired') };
+    }
+
+    try {
+        const authStatus = await checkAuthStatus();
+        if (!authStatus.isAuthenticated) {
+            return { success: false, needsAuth: true };
+        }
+
+        const trimmedQuery = query.trim();
+        const result = await fetchWorldSearch(trimmedQuery);
+        if (result.rateLimited) {
+            return { success: false, rateLimited: true, error: I18n.t(RATE_LIMITED_ERROR_KEY) };
+        }
+        if (!result.ok) {
+            return { success: false, error: I18n.t('errorApiRequest') };
+        }
+
+        return { success: true, candidates: rankWorlds(result.worlds, trimmedQuery, null).map(toCandidate) };
+    } catch (error) {
+        return { success: false, error: I18n.t('errorSearch', error.message) };
+    }
+}
+
+// ============================================================================
+// ワールド詳細
+// ============================================================================
+
+/**
+ * ワールドが対応しているプラットフォームを取り出す（検索結果・詳細のどちらにも unityPackages が含まれる）
+ * @param {object} world - ワールド情報
+ * @returns {string[]} プラットフォーム（standalonewindows・android・ios）
+ */
+function toPlatforms(world) {
+    return Array.isArray(world.unityPackages)
+        ? [...new Set(world.unityPackages.map(pkg => pkg.platform).filter(Boolean))]
+        : [];
+}
+
+/**
+ * ワールド情報からプレビュー表示用の詳細を整形する
+ * @param {object} world - /worlds/{id} のレスポンス
+ * @returns {{worldId: string, worldName: string, authorName: string, thumbnailImageUrl: string, capacity: number, recommendedCapacity: number, favorites: number, visits: number, tags: string[], updatedAt: string, platforms: string[]}}
+ */
+function toWorldDetails(world) {
+    const platforms = toPlatforms(world);
+
+    // 作者が付けたタグのみ表示する（system_ や admin_ などの内部タグは除外）
+    const tags = Array.isArray(world.tags)
+        ? world.tags.filter(tag => tag.startsWith('author_tag_')).map(tag => tag.slice('author_tag_'.length))
+        : [];
+
+    return {
+        worldId: world.id,
+        worldName: world.name || '',
+        authorName: world.authorName || '',
+        thumbnailImageUrl: world.thumbnailImageUrl || world.imageUrl || '',
+        capacity: world.capacity || 0,
+        recommendedCapacity: world.recommendedCapacity || 0,
+        favorites: world.favorites || 0,
+        visits: world.visits || 0,
+        tags,
+        updatedAt: world.updated_at || '',
+        platforms
+    };
+}
+
+/**
+ * ワールドの詳細を取得する
+ * @param {string} worldId - ワールドID
+ * @returns {Promise<{success: boolean, world?: object, needsAuth?: boolean, notFound?: boolean, rateLimited?: boolean, error?: string}>}
+ */
+async function getWorldDetails(worldId) {
+    // 入力値のバリデーション
+    if (!worldId || typeof worldId !== 'string' || !/^wrld_[a-f0-9-]{36}$/i.test(worldId)) {
+        return { success: false, error: I18n.t('errorInvalidWorldId') };
+    }
+
+    try {
+        const response = await fetchVRChatAPI(`/worlds/${encodeURIComponent(worldId)}`);
+
+        if (response.ok) {
+            const world = await response.json();
+            return { success: true, world: toWorldDetails(world) };
+        }
+        if (response.status === 401) {
+            return { success: false, needsAuth: true };
+        }
+        if (response.status === 404) {
+            return { success: false, notFound: true };
+        }
+        if (response.status === 429) {
+            return { success: false, rateLimited: true, error: I18n.t(RATE_LIMITED_ERROR_KEY) };
+        }
+        return { success: false, error: I18n.t('errorApiRequest') };
+    } catch (error) {
+        return { success: false, error: I18n.t('errorFetch', error.message) };
+    }
+}
+
+// ============================================================================
+// インスタンス作成・セルフInvite
+// ============================================================================
+
+/**
+ * エラーレスポンスからメッセージを取り出す
+ * @param {Response} response - レスポンス
+ * @param {string} fallback - 取り出せない場合のメッセージ
+ * @returns {Promise<string>} エラーメッセージ
+ */
+async function readErrorMessage(response, fallback) {
+    if (response.status === 429) {
+        return I18n.t(RATE_LIMITED_ERROR_KEY);
+    }
+    try {
+        const errorData = await response.json();
+        return errorData.error?.message || fallback;
+    } catch {
+        // JSONパースエラーは無視
+        return fallback;
+    }
+}
+
+/**
+ * ログイン中のユーザーIDを取得する
+ * @returns {Promise<{userId?: string, needsAuth?: boolean}>}
+ */
+async function getCurrentUserId() {
+    const response = await fetchVRChatAPI('/auth/user');
+    if (!response.ok) {
+        return { needsAuth: true };
+    }
+
+    const data = await response.json();
+    // 2FA未完了の場合もユーザーIDは返らない
+    return data.id ? { userId: data.id } : { needsAuth: true };
+}
+
+/**
+ * インスタンス作成の設定を読み込む
+ * @returns {Promise<{instanceType: string, region: string, groupId: string}>}
+ */
+async function loadInstanceSettings() {
+    const stored = await Settings.get([
+        STORAGE_KEYS.INSTANCE_TYPE,
+        STORAGE_KEYS.INSTANCE_REGION,
+        STORAGE_KEYS.INSTANCE_GROUP_ID
+    ]);
+
+    const instanceType = stored[STORAGE_KEYS.INSTANCE_TYPE];
+    const region = stored[STORAGE_KEYS.INSTANCE_REGION];
+    return {
+        instanceType: INSTANCE_TYPES[instanceType] ? instanceType : DEFAULT_INSTANCE_TYPE,
+        region: INSTANCE_REGIONS.includes(region) ? region : DEFAULT_INSTANCE_REGION,
+        groupId: (stored[STORAGE_KEYS.INSTANCE_GROUP_ID] || '').trim()
+    };
+}
+
+/**
+ * インスタンスを作成して自分にInviteを送る
+ * @param {string} worldId - ワールドID
+ * @returns {Promise<{success: boolean, location?: string, instanceType?: string, region?: string, needsAuth?: boolean, error?: string}>}
+ */
+async function selfInvite(worldId) {
+    // 入力値のバリデーション
+    if (!worldId || typeof worldId !== 'string' || !/^wrld_[a-f0-9-]{36}$/i.test(worldId)) {
+        return { success: false, error: I18n.t('errorInvalidWorldId') };
+    }
+
+    try {
+        const settings = await loadInstanceSettings();
+        if (settings.instanceType === 'group' && !/^grp_[a-f0-9-]{36}$/i.test(settings.groupId)) {
+            return { success: false, error: I18n.t('errorGroupIdRequired') };
+        }
+
+        const currentUser = await getCurrentUserId();
+        if (currentUser.needsAuth) {
+            return { success: false, needsAuth: true };
+        }
+
+        // パブリックはオーナーなし、グループはグループID、それ以外は自分がオーナー
+        const { type, ...typeOptions } = INSTANCE_TYPES[settings.instanceType];
+        const body = { worldId, type, region: settings.region, ...typeOptions };
+        if (settings.instanceType === 'group') {
+            body.ownerId = settings.groupId;
+        } else if (settings.instanceType !== 'public') {
+            body.ownerId = currentUser.userId;
+        }
+
+        const instanceResponse = await fetchVRChatAPI('/instances', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        if (instanceResponse.status === 401) {
+            return { success: false, needsAuth: true };
+        }
+        if (!instanceResponse.ok) {
+            return { success: false, error: await readErrorMessage(instanceResponse, I18n.t('errorCreateInstance')) };
+        }
+
+        const instance = await instanceResponse.json();
+        const location = instance.location || `${worldId}:${instance.instanceId}`;
+
+        const inviteResponse = await fetchVRChatAPI(`/invite/myself/to/${location}`, {
+            method: 'POST'
+        });
+        if (!inviteResponse.ok) {
+            return { success: false, error: await readErrorMessage(inviteResponse, I18n.t('errorSendInvite')) };
+        }
+
+        return { success: true, location, instanceType: settings.instanceType, region: settings.region };
+    } catch (error) {
+        return { success: false, error: I18n.t('errorInvite', error.message) };
+    }
+}
+
+// ============================================================================
+// お気に入り
+// ============================================================================
+
+/**
+ * ワールドのお気に入りグループ一覧を取得する（キャッシュあり）
+ * @param {boolean} [refresh] - キャッシュを使わずに取得する
+ * @returns {Promise<{success: boolean, groups?: {name: string, displayName: string}[], needsAuth?: boolean, error?: string}>}
+ */
+async function getFavoriteGroups(refresh = false) {
+    try {
+        if (!refresh) {
+            const stored = await chrome.storage.local.get([STORAGE_KEYS.FAVORITE_GROUPS_CACHE]);
+            const cached = stored[STORAGE_KEYS.FAVORITE_GROUPS_CACHE];
+            if (cached && Date.now() - cached.cachedAt < FAVORITE_GROUPS_TTL_MS) {
+                return { success: true, groups: cached.groups };
+            }
+        }
+
+        const response = await fetchVRChatAPI('/favorite/groups?type=world&n=50');
+        if (response.status === 401) {
+            return { success: false, needsAuth: true };
+        }
+        if (!response.ok) {
+            return { success: false, error: await readErrorMessage(response, I18n.t('errorFavoriteGroups')) };
+        }
+
+        const data = await response.json();
+        const groups = (Array.isArray(data) ? data : [])
+            .filter(group => group.type === 'world')
+            .map(group => ({ name: group.name, displayName: group.displayName || group.name }));
+
+        await chrome.storage.local.set({
+            [STORAGE_KEYS.FAVORITE_GROUPS_CACHE]: { groups, cachedAt: Date.now() }
+        });
+        return { success: true, groups };
+    } catch (error) {
+        return { success: false, error: I18n.t('errorFetch', error.message) };
+    }
+}
+
+/** @type {Promise<{favorites?: Object<string, string[]>, needsAuth?: boolean, error?: string}>|null} 取得中のお気に入り一覧（同時に呼ばれた場合は1回の取得を共有する） */
+let favoriteWorldsRequest = null;
+
+/**
+ * お気に入り済みワールドの一覧を取得する（キャッシュあり）
+ * @param {boolean} [refresh] - キャッシュを使わずに取得する
+ * @returns {Promise<{favorites?: Object<string, string[]>, needsAuth?: boolean, error?: string}>} ワールドID → お気に入りグループ名
+ */
+async function loadFavoriteWorlds(refresh = false) {
+    if (!refresh) {
+        const stored = await chrome.storage.local.get([STORAGE_KEYS.FAVORITE_WORLDS_CACHE]);
+        const cached = stored[STORAGE_KEYS.FAVORITE_WORLDS_CACHE];
+        if (cached && Date.now() - cached.cachedAt < FAVORITE_WORLDS_TTL_MS) {
+            return { favorites: cached.favorites };
+        }
+    }
+
+    // 一覧の取得は最大でFAVORITES_MAX_PAGES回のリクエストになるため、取得中であればその結果を待つ
+    if (!favoriteWorldsRequest) {
+        favoriteWorldsRequest = fetchFavoriteWorlds().finally(() => {
+            favoriteWorldsRequest = null;
+        });
+    }
+    return favoriteWorldsRequest;
+}
+
+/**
+ * お気に入り済みワールドの一覧をAPIから取得し、キャッシュに保存する
+ * @returns {Promise<{favorites?: Object<string, string[]>, needsAuth?: boolean, error?: string}>} ワールドID → お気に入りグループ名
+ */
+async function fetchFavoriteWorlds() {
+    const favorites = {};
+    for (let page = 0; page < FAVORITES_MAX_PAGES; page++) {
+        const params = new URLSearchParams({
+            type: 'world',
+            n: String(FAVORITES_PAGE_SIZE),
+            offset: String(page * FAVORITES_PAGE_SIZE)
+        });
+        const response = await fetchVRChatAPI(`/favorites?${params.toString()}`);
+        if (response.status === 401) {
+            return { needsAuth: true };
+        }
+        if (!response.ok) {
+            return { error: await readErrorMessage(response, I18n.t('errorFavoriteStatus')) };
+        }
+
+        const items = await response.json();
+        if (!Array.isArray(items)) {
+            break;
+        }
+        for (const item of items) {
+            if (item.favoriteId) {
+                favorites[item.favoriteId] = Array.isArray(item.tags) ? item.tags : [];
+            }
+        }
+        if (items.length < FAVORITES_PAGE_SIZE) {
+            break;
+        }
+    }
+
+    await chrome.storage.local.set({
+        [STORAGE_KEYS.FAVORITE_WORLDS_CACHE]: { favorites, cachedAt: Date.now() }
+    });
+    return { favorites };
+}
+
+/**
+ * ワールドがお気に入り済みか確認する
+ * @param {string} worldId - ワールドID
+ * @returns {Promise<{success: boolean, favorited?: boolean, groupNames?: string[], needsAuth?: boolean, error?: string}>}
+ */
+async function getFavoriteStatus(worldId) {
+    // 入力値のバリデーション
+    if (!worldId || typeof worldId !== 'string' || !/^wrld_[a-f0-9-]{36}$/i.test(worldId)) {
+        return { success: false, error: I18n.t('errorInvalidWorldId') };
+    }
+
+    try {
+        const result = await loadFavoriteWorlds();
+        if (!result.favorites) {
+            return { success: false, needsAuth: result.needsAuth, error: result.error };
+        }
+
+        const groupNames = result.favorites[worldId];
+        return { success: true, favorited: Boolean(groupNames), groupNames: groupNames || [] };
+    } catch (error) {
+        return { success: false, error: I18n.t('errorFetch', error.message) };
+    }
+}
+
+/**
+ * ワールドを設定されたお気に入りグループに追加する
+ * @param {string} worldId - ワールドID
+ * @returns {Promise<{success: boolean, alreadyFavorited?: boolean, groupName?: string, needsAuth?: boolean, error?: string}>}
+ */
+async function addFavorite(worldId) {
+    // 入力値のバリデーション
+    if (!worldId || typeof worldId !== 'string' || !/^wrld_[a-f0-9-]{36}$/i.test(worldId)) {
+        return { success: false, error: I18n.t('errorInvalidWorldId') };
+    }
+
+    try {
+        const status = await getFavoriteStatus(worldId);
+        if (status.needsAuth) {
+            return { success: false, needsAuth: true };
+        }
+        if (status.favorited) {
+            return { success: true, alreadyFavorited: true, groupName: status.groupNames[0] };
+        }
+
+        // 追加先のグループ（未設定の場合は最初のグループ）
+        const groupsResult = await getFavoriteGroups();
+        if (!groupsResult.success) {
+            return groupsResult;
+        }
+        const stored = await Settings.get([STORAGE_KEYS.FAVORITE_GROUP]);
+        const group = groupsResult.groups.find(g => g.name === stored[STORAGE_KEYS.FAVORITE_GROUP]) ||
+            groupsResult.groups[0];
+        if (!group) {
+            return { success: false, error: I18n.t('errorFavoriteGroupNotFound') };
+        }
+
+        const response = await fetchVRChatAPI('/favorites', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ type: 'world', favoriteId: worldId, tags: [group.name] })
+        });
+        if (response.status === 401) {
+            return { success: false, needsAuth: true };
+        }
+        if (!response.ok) {
+            return { success: false, error: await readErrorMessage(response, I18n.t('errorAddFavorite')) };
+        }
+
+        // 次回の状態確認で追加が反映されるようにキャッシュを更新
+        const cached = await loadFavoriteWorlds();
+        if (cached.favorites) {
+            cached.favorites[worldId] = [group.name];
+            await chrome.storage.local.set({
+                [STORAGE_KEYS.FAVORITE_WORLDS_CACHE]: { favorites: cached.favorites, cachedAt: Date.now() }
+            });
+        }
+
+        return { success: true, groupName: group.displayName };
+    } catch (error) {
+        return { success: false, error: I18n.t('errorFavorite', error.message) };
+    }
+}
+
+// ============================================================================
+// 履歴
+// ============================================================================
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {string} id - 履歴ID
+ * @property {string} type - 操作の種類（open / search / invite / favorite）
+ * @property {string|null} worldId - ワールドID（検索のみの場合はnull）
+ * @property {string|null} worldName - ワールド名
+ * @property {string|null} authorName - 作者名
+ * @property {string|null} tweetUrl - 元ポストのURL
+ * @property {string|null} tweetAuthor - 元ポストの投稿者（@ユーザー名）
+ * @property {number} timestamp - 記録日時（ミリ秒）
+ */
+
+/**
+ * 文字列を履歴に保存できる形に整える
+ * @param {*} value - 対象の値
+ * @returns {string|null} 前後の空白を除いた文字列、空の場合はnull
+ */
+function toHistoryText(value) {
+    return typeof value === 'string' && value.trim().length > 0 ? value.trim() : null;
+}
+
+/**
+ * 履歴の保存件数を取得する
+ * @returns {Promise<number>} 保存件数
+ */
+async function loadHistoryLimit() {
+    const stored = await Settings.get([STORAGE_KEYS.HISTORY_LIMIT]);
+    const limit = stored[STORAGE_KEYS.HISTORY_LIMIT];
+    return HISTORY_LIMITS.includes(limit) ? limit : DEFAULT_HISTORY_LIMIT;
+}
+
+/**
+ * 履歴を読み込む（新しい順）
+ * @returns {Promise<HistoryEntry[]>} 履歴
+ */
+async function loadHistory() {
+    const stored = await chrome.storage.local.get([STORAGE_KEYS.WORLD_HISTORY]);
+    const history = stored[STORAGE_KEYS.WORLD_HISTORY];
+    return Array.isArray(history) ? history : [];
+}
+
+/**
+ * 開いた・検索したワールドを履歴に記録する
+ * 同じポストの同じワールドに対する同じ操作は、古い記録を置き換える
+ * @param {object} entry - 記録する内容
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function addHistory(entry) {
+    if (!entry || !HISTORY_TYPES.includes(entry.type)) {
+        return { success: false, error: I18n.t('errorInvalidHistoryType') };
+    }
+
+    const worldId = toHistoryText(entry.worldId);
+    const worldName = toHistoryText(entry.worldName);
+    if (!worldId && !worldName) {
+        return { success: false, error: I18n.t('errorHistoryWorldRequired') };
+    }
+
+    /** @type {HistoryEntry} */
+    const record = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        type: entry.type,
+        worldId,
+        worldName,
+        authorName: toHistoryText(entry.authorName),
+        tweetUrl: toHistoryText(entry.tweetUrl),
+        tweetAuthor: toHistoryText(entry.tweetAuthor),
+        timestamp: Date.now()
+    };
+
+    try {
+        const [history, limit] = await Promise.all([loadHistory(), loadHistoryLimit()]);
+        const isSame = (item) => item.type === record.type &&
+            item.tweetUrl === record.tweetUrl &&
+            (record.worldId ? item.worldId === record.worldId : item.worldName === record.worldName);
+
+        const updated = [record, ...history.filter(item => !isSame(item))].slice(0, limit);
+        await chrome.storage.local.set({ [STORAGE_KEYS.WORLD_HISTORY]: updated });
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: I18n.t('errorSaveHistory', error.message) };
+    }
+}
+
+/**
+ * 履歴を1件削除する
+ * @param {string} id - 履歴ID
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function deleteHistory(id) {
+    try {
+        const history = await loadHistory();
+        await chrome.storage.local.set({
+            [STORAGE_KEYS.WORLD_HISTORY]: history.filter(item => item.id !== id)
+        });
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: I18n.t('errorDeleteHistory', error.message) };
+    }
+}
+
+/**
+ * 履歴をすべて削除する
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function clearHistory() {
+    try {
+        await chrome.storage.local.remove(STORAGE_KEYS.WORLD_HISTORY);
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: I18n.t('errorDeleteHistory', error.message) };
+    }
+}
+
+/**
+ * 履歴の保存件数を変更し、超えた分を古い順に削除する
+ * @param {number} limit - 保存件数
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function setHistoryLimit(limit) {
+    if (!HISTORY_LIMITS.includes(limit)) {
+        return { success: false, error: I18n.t('errorInvalidHistoryLimit') };
+    }
+
+    try {
+        const history = await loadHistory();
+        await Settings.set({
+            [STORAGE_KEYS.HISTORY_LIMIT]: limit,
+            [STORAGE_KEYS.WORLD_HISTORY]: history.slice(0, limit)
+        });
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: I18n.t('errorSaveSettings', error.message) };
+    }
+}
+
+/**
+ * 書き出した履歴を読み込み、今の履歴とまとめる
+ * 同じIDの記録は今の履歴を残し、新しい順に並べて保存件数までにする
+ * @param {*} entries - 読み込む履歴
+ * @returns {Promise<{success: boolean, count?: number, error?: string}>} countは追加した件数
+ */
+async function importHistory(entries) {
+    if (!Array.isArray(entries)) {
+        return { success: false, error: I18n.t('errorBackupFormat') };
+    }
+
+    /** @type {HistoryEntry[]} */
+    const records = [];
+    for (const entry of entries) {
+        if (!entry || !HISTORY_TYPES.includes(entry.type) || !Number.isFinite(entry.timestamp)) {
+            continue;
+        }
+        const worldId = toHistoryText(entry.worldId);
+        const worldName = toHistoryText(entry.worldName);
+        const id = toHistoryText(entry.id);
+        if (!id || (!worldId && !worldName)) {
+            continue;
+        }
+        records.push({
+            id,
+            type: entry.type,
+            worldId,
+            worldName,
+            authorName: toHistoryText(entry.authorName),
+            tweetUrl: toHistoryText(entry.tweetUrl),
+            tweetAuthor: toHistoryText(entry.tweetAuthor),
+            timestamp: entry.timestamp
+        });
+    }
+
+    try {
+        const [history, limit] = await Promise.all([loadHistory(), loadHistoryLimit()]);
+        const knownIds = new Set(history.map(item => item.id));
+        const added = [];
+        for (const record of records) {
+            if (!knownIds.has(record.id)) {
+                knownIds.add(record.id);
+                added.push(record);
+            }
+        }
+        const updated = [...history, ...added]
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, limit);
+        await chrome.storage.local.set({ [STORAGE_KEYS.WORLD_HISTORY]: updated });
+        return { success: true, count: added.length };
+    } catch (error) {
+        return { success: false, error: I18n.t('errorSaveHistory', error.message) };
+    }
+}
+
+// ============================================================================
+// 対応サイト
+// ============================================================================
+
+/** コンテンツスクリプト登録処理の直列化用（登録・解除が重なるとIDの重複エラーになる） */
+let siteScriptsSync = Promise.resolve();
+
+/**
+ * 追加サイトのうち、ホストへのアクセスが許可されているものにコンテンツスクリプトを登録し直す
+ */
+async function registerSiteContentScripts() {
+    const stored = await Settings.get([STORAGE_KEYS.ENABLE_BLUESKY, STORAGE_KEYS.MISSKEY_HOSTS]);
+    const origins = Sites.getOptionalOrigins({
+        enableBluesky: stored[STORAGE_KEYS.ENABLE_BLUESKY] === true,
+        misskeyHosts: stored[STORAGE_KEYS.MISSKEY_HOSTS]
+    });
+
+    // 許可されていないホストに登録するとエラーになるため除外する
+    const granted = [];
+    for (const origin of origins) {
+        if (await chrome.permissions.contains({ origins: [origin] })) {
+            granted.push(origin);
+        }
+    }
+
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [SITE_CONTENT_SCRIPT_ID] });
+    if (registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: [SITE_CONTENT_SCRIPT_ID] });
+    }
+    if (granted.length === 0) {
+        return;
+    }
+
+    await chrome.scripting.registerContentScripts([{
+        id: SITE_CONTENT_SCRIPT_ID,
+        matches: granted,
+        js: SITE_CONTENT_SCRIPT_FILES.js,
+        css: SITE_CONTENT_SCRIPT_FILES.css,
+        runAt: 'document_idle'
+    }]);
+}
+
+/**
+ * 追加サイトのコンテンツスクリプト登録を設定・権限に合わせる
+ * @returns {Promise<void>}
+ */
+function syncSiteContentScripts() {
+    siteScriptsSync = siteScriptsSync
+        .then(registerSiteContentScripts)
+        .catch((error) => {
+            console.warn('コンテンツスクリプトの登録に失敗:', error);
+        });
+    return siteScriptsSync;
+}
+
+// 設定やホストへのアクセス許可が変わったら登録し直す
+chrome.runtime.onInstalled.addListener(syncSiteContentScripts);
+chrome.permissions.onAdded.addListener(syncSiteContentScripts);
+chrome.permissions.onRemoved.addListener(syncSiteContentScripts);
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (Settings.hasChanges(changes, areaName, [STORAGE_KEYS.ENABLE_BLUESKY, STORAGE_KEYS.MISSKEY_HOSTS])) {
+        syncSiteContentScripts();
+    }
+});
+
+// ============================================================================
+// セッションの確認・再ログイン
+// ============================================================================
+
+/**
+ * @typedef {object} PendingLookup
+ * @property {number} tabId - 検索を再開するタブ
+ * @property {string} [lookupId] - コンテンツスクリプト側で再開する処理のID
+ * @property {{menuItemId: string, text: string}} [selection] - 右クリックメニューから始めた検索
+ */
+
+/**
+ * セッションが切れたことを記録し、バッジで知らせる
+ */
+async function markSessionExpired() {
+    await chrome.storage.local.set({
+        [STORAGE_KEYS.IS_AUTHENTICATED]: false,
+        [STORAGE_KEYS.SESSION_EXPIRED]: true
+    });
+    await updateBadge();
+}
+
+/**
+ * ログイン済みのはずのセッションがまだ有効かを確認する
+ * ストレージのログイン状態はCookieの期限切れを検知できないため、定期的にAPIで確かめる
+ */
+async function validateSession() {
+    const stored = await chrome.storage.local.get([STORAGE_KEYS.IS_AUTHENTICATED]);
+    if (stored[STORAGE_KEYS.IS_AUTHENTICATED] !== true) {
+        return;
+    }
+
+    const authStatus = await checkAuthStatus();
+    // ネットワークエラーの場合はセッション切れと判断しない
+    if (!authStatus.isAuthenticated && !authStatus.error) {
+        await markSessionExpired();
+    }
+}
+
+/**
+ * セッション確認のアラームを登録する（同じ名前のアラームは置き換えられる）
+ */
+async function scheduleSessionCheck() {
+    await chrome.alarms.create(SESSION_CHECK_ALARM, { periodInMinutes: SESSION_CHECK_INTERVAL_MINUTES });
+}
+
+/**
+ * 再ログイン用のウィンドウを開く（既に開いている場合は前面に出す）
+ */
+async function openReloginWindow() {
+    const stored = await chrome.storage.session.get([STORAGE_KEYS.RELOGIN_WINDOW_ID]);
+    const windowId = stored[STORAGE_KEYS.RELOGIN_WINDOW_ID];
+    if (windowId !== undefined) {
+        try {
+            await chrome.windows.update(windowId, { focused: true });
+            return;
+        } catch {
+            // 既に閉じられている場合は開き直す
+        }
+    }
+
+    const created = await chrome.windows.create({
+        url: chrome.runtime.getURL(RELOGIN_WINDOW.URL),
+        type: 'popup',
+        width: RELOGIN_WINDOW.WIDTH,
+        height: RELOGIN_WINDOW.HEIGHT
+    });
+    await chrome.storage.session.set({ [STORAGE_KEYS.RELOGIN_WINDOW_ID]: created.id });
+}
+
+/**
+ * ログインが必要になった検索を記録し、再ログイン用のウィンドウを開く
+ * @param {PendingLookup} lookup - ログイン後に再開する検索
+ */
+async function holdForRelogin(lookup) {
+    const stored = await chrome.storage.session.get([STORAGE_KEYS.PENDING_LOOKUPS]);
+    /** @type {PendingLookup[]} */
+    const pending = stored[STORAGE_KEYS.PENDING_LOOKUPS] || [];
+    pending.push(lookup);
+    await chrome.storage.session.set({ [STORAGE_KEYS.PENDING_LOOKUPS]: pending });
+
+    await markSessionExpired();
+    await openReloginWindow();
+}
+
+/**
+ * コンテンツスクリプトでログインが必要になった検索を記録し、再ログインを促す
+ * @param {number|undefined} tabId - 送信元のタブID
+ * @param {string} lookupId - コンテンツスクリプト側で再開する処理のID
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function requestRelogin(tabId, lookupId) {
+    if (tabId === undefined || !lookupId || typeof lookupId !== 'string') {
+        return { success: false, error: I18n.t('errorInvalidLookup') };
+    }
+
+    try {
+        await holdForRelogin({ tabId, lookupId });
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: I18n.t('errorOpenRelogin', error.message) };
+    }
+}
+
+/**
+ * ログイン待ちだった検索を、それぞれのタブで再開させる
+ */
+async function resumePendingLookups() {
+    const stored = await chrome.storage.session.get([STORAGE_KEYS.PENDING_LOOKUPS, STORAGE_KEYS.RELOGIN_WINDOW_ID]);
+    /** @type {PendingLookup[]} */
+    const pending = stored[STORAGE_KEYS.PENDING_LOOKUPS] || [];
+    const windowId = stored[STORAGE_KEYS.RELOGIN_WINDOW_ID];
+    await chrome.storage.session.remove([STORAGE_KEYS.PENDING_LOOKUPS, STORAGE_KEYS.RELOGIN_WINDOW_ID]);
+
+    for (const { tabId, lookupId, selection } of pending) {
+        if (selection) {
+            handleSelectionMenu(selection.menuItemId, selection.text, tabId)
+                .catch((error) => console.warn('右クリックメニューの検索の再開に失敗:', error));
+            continue;
+        }
+        chrome.tabs.sendMessage(tabId, { action: ACTIONS.RESUME_LOOKUP, lookupId }).catch(() => {
+            // タブが閉じられた・再読み込みされた場合は再開できない
+        });
+    }
+
+    // 再ログイン用のウィンドウはログインが済んだら不要
+    if (windowId !== undefined) {
+        chrome.windows.remove(windowId).catch(() => {
+            // 既に閉じられている場合は無視
+        });
+    }
+}
+
+/**
+ * ログイン待ちだった検索を破棄し、それぞれのタブにも保留した処理を破棄させる
+ */
+async function cancelPendingLookups() {
+    const stored = await chrome.storage.session.get([STORAGE_KEYS.PENDING_LOOKUPS]);
+    /** @type {PendingLookup[]} */
+    const pending = stored[STORAGE_KEYS.PENDING_LOOKUPS] || [];
+    await chrome.storage.session.remove([STORAGE_KEYS.PENDING_LOOKUPS, STORAGE_KEYS.RELOGIN_WINDOW_ID]);
+
+    for (const { tabId, lookupId, selection } of pending) {
+        if (selection) {
+            continue;
+        }
+        chrome.tabs.sendMessage(tabId, { action: ACTIONS.CANCEL_LOOKUP, lookupId }).catch(() => {
+            // タブが閉じられた・再読み込みされた場合は保留した処理も残っていない
+        });
+    }
+}
+
+/**
+ * ワールドページを新しいタブで開く
+ * ユーザーのクリックを伴わない操作（再ログイン後の再開・キーボードショートカット）はページ側から開けないため、こちらで開く
+ * @param {string} worldId - ワールドID
+ * @param {number|undefined} openerTabId - 元のタブID
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function openWorldTab(worldId, openerTabId) {
+    if (!worldId || typeof worldId !== 'string' || !/^wrld_[a-f0-9-]{36}$/i.test(worldId)) {
+        return { success: false, error: I18n.t('errorInvalidWorldId') };
+    }
+
+    try {
+        await chrome.tabs.create({ url: toWorldPageUrl(worldId), openerTabId });
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: I18n.t('errorOpenTab', error.message) };
+    }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === SESSION_CHECK_ALARM) {
+        validateSession().catch((error) => console.warn('セッションの確認に失敗:', error));
+    }
+});
+
+// 再ログイン用のウィンドウを閉じた場合は、ログイン待ちの検索を破棄する
+chrome.windows.onRemoved.addListener(async (windowId) => {
+    const stored = await chrome.storage.session.get([STORAGE_KEYS.RELOGIN_WINDOW_ID]);
+    if (stored[STORAGE_KEYS.RELOGIN_WINDOW_ID] === windowId) {
+        await cancelPendingLookups();
+    }
+});
+
+chrome.runtime.onInstalled.addListener(() => {
+    scheduleSessionCheck().catch((error) => console.warn('アラームの登録に失敗:', error));
+});
+
+// ============================================================================
+// VRChatのページを開く
+// ============================================================================
+
+/**
+ * ワールドページのURLを作る
+ * @param {string} worldId - ワールドID
+ * @returns {string} URL
+ */
+function toWorldPageUrl(worldId) {
+    return `${VRCHAT_WEB_BASE}/world/${encodeURIComponent(worldId)}`;
+}
+
+/**
+ * ワールド検索ページのURLを作る
+ * @param {string} worldName - 検索するワールド名
+ * @returns {string} URL
+ */
+function toSearchPageUrl(worldName) {
+    // サロゲートペアが壊れた文字はエンコードできないため置き換える
+    return `${VRCHAT_WEB_BASE}/search/worlds/${encodeURIComponent(worldName.trim().toWellFormed())}`;
+}
+
+/**
+ * VRChatのワールド検索ページを新しいタブで開く
+ * @param {string} worldName - 検索するワールド名
+ * @param {number|undefined} openerTabId - 元のタブID
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function openSearchTab(worldName, openerTabId) {
+    if (!worldName || typeof worldName !== 'string' || worldName.trim().length === 0) {
+        return { success: false, error: I18n.t('errorWorldNameMissing') };
+    }
+
+    try {
+        await chrome.tabs.create({ url: toSearchPageUrl(worldName), openerTabId });
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: I18n.t('errorOpenTab', error.message) };
+    }
+}
+
+// ============================================================================
+// 右クリックメニュー（選択したテキスト）
+// ============================================================================
+
+/**
+ * 選択したテキストに対する右クリックメニューを登録する
+ */
+function createSelectionMenus() {
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({
+            id: SELECTION_MENU_ITEMS.OPEN,
+            title: I18n.t('menuOpenSelection'),
+            contexts: ['selection']
+        });
+        chrome.contextMenus.create({
+            id: SELECTION_MENU_ITEMS.SEARCH,
+            title: I18n.t('menuSearchSelection'),
+            contexts: ['selection']
+        });
+        chrome.contextMenus.create({
+            id: SELECTION_MENU_ITEMS.CANDIDATES,
+            title: I18n.t('menuCandidatesSelection'),
+            contexts: ['selection']
+        });
+    });
+}
+
+/**
+ * 右クリックメニューの操作を実行する
+ * 選択範囲にワールドIDが含まれていれば、どの項目でもそのワールドを直接開く
+ * @param {string} menuItemId - メニュー項目のID
+ * @param {string} selectionText - 選択したテキスト
+ * @param {number|undefined} tabId - 操作したタブのID
+ */
+async function handleSelectionMenu(menuItemId, selectionText, tabId) {
+    // 改行をまたいで選択した場合も1つの名前として扱う
+    const text = String(selectionText || '').replace(/\s+/g, ' ').trim().slice(0, SELECTION_MAX_LENGTH);
+    if (!text) {
+        return;
+    }
+
+    const worldId = text.match(WORLD_ID_PATTERN)?.[0];
+    if (worldId) {
+        await openWorldTab(worldId, tabId);
+        await addHistory({ type: 'open', worldId });
+        return;
+    }
+
+    switch (menuItemId) {
+        case SELECTION_MENU_ITEMS.OPEN: {
+            const result = await searchWorld(text);
+            if (result.success && result.worldId) {
+                await openWorldTab(result.worldId, tabId);
+                await addHistory({ type: 'open', worldId: result.worldId, worldName: result.worldName || text });
+            } else if (result.needsAuth) {
+                await holdForRelogin({ tabId, selection: { menuItemId, text } });
+            } else {
+                // 見つからない・APIを使えない場合は検索ページで探してもらう
+                await openSearchTab(text, tabId);
+                await addHistory({ type: 'search', worldName: text });
+            }
+            break;
+        }
+
+        case SELECTION_MENU_ITEMS.SEARCH:
+            await openSearchTab(text, tabId);
+            await addHistory({ type: 'search', worldName: text });
+            break;
+
+        case SELECTION_MENU_ITEMS.CANDIDATES:
+            await chrome.tabs.create({
+                url: chrome.runtime.getURL(`${CANDIDATES_PAGE}?q=${encodeURIComponent(text.toWellFormed())}`),
+                openerTabId: tabId
+            });
+            break;
+    }
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+    i18nReady.then(createSelectionMenus);
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    // PDFビューアーなどタブに属さないページではIDが -1 になる
+    const tabId = tab && tab.id >= 0 ? tab.id : undefined;
+    handleSelectionMenu(String(info.menuItemId), info.selectionText, tabId)
+        .catch((error) => console.warn('右クリックメニューの処理に失敗:', error));
+});
+
+// ============================================================================
+// アドレスバーのキーワード（vrcw）
+// ============================================================================
+
+/** 候補検索のデバウンス用タイマーID */
+let omniboxTimerId = null;
+
+/** 最後に入力された文字列（古い検索結果で候補を上書きしないため） */
+let omniboxLatestText = '';
+
+/** @type {Map<string, {worldName: string, authorName: string}>} 表示中の候補（履歴の記録用） */
+const omniboxSuggestions = new Map();
+
+/**
+ * 候補の説明文に使う文字列をエスケープする（説明文はXMLとして解釈される）
+ * @param {string} text - 文字列
+ * @returns {string} エスケープした文字列
+ */
+function escapeOmniboxText(text) {
+    return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * 候補がないときに表示する説明文を設定する
+ * @param {string} [note] - 補足（候補を取得できなかった理由など）
+ */
+function setOmniboxDefault(note) {
+    chrome.omnibox.setDefaultSuggestion({
+        description: `${I18n.t('omniboxDefault')}${note ? ` <dim>${escapeOmniboxText(I18n.t('omniboxNote', note))}</dim>` : ''}`
+    });
+}
+
+/**
+ * 入力されたワールド名で検索し、アドレスバーに候補を表示する
+ * @param {string} text - 入力された文字列
+ * @param {(suggestions: chrome.omnibox.SuggestResult[]) => void} suggest - 候補を表示するコールバック
+ */
+async function suggestWorlds(text, suggest) {
+    const result = await fetchWorldSearch(text);
+    if (text !== omniboxLatestText) {
+        return;
+    }
+
+    if (!result.ok) {
+        setOmniboxDefault(result.needsAuth
+            ? I18n.t('omniboxNoteLogin')
+            : I18n.t(result.rateLimited ? 'omniboxNoteRateLimited' : 'omniboxNoteFailed'));
+        suggest([]);
+        return;
+    }
+
+    const candidates = rankWorlds(result.worlds, text, null).slice(0, OMNIBOX_SUGGESTION_COUNT).map(toCandidate);
+    omniboxSuggestions.clear();
+    for (const candidate of candidates) {
+        omniboxSuggestions.set(candidate.worldId, candidate);
+    }
+
+    setOmniboxDefault();
+    suggest(candidates.map((candidate) => {
+        const meta = [
+            candidate.authorName ? I18n.t('worldAuthor', candidate.authorName) : '',
+            candidate.capacity ? I18n.t('worldCapacity', candidate.capacity) : ''
+        ].filter(Boolean).join(I18n.t('listSeparator'));
+        return {
+            content: candidate.worldId,
+            description: `<match>${escapeOmniboxText(candidate.worldName)}</match> <dim>${escapeOmniboxText(meta)}</dim>`
+        };
+    }));
+}
+
+/**
+ * アドレスバーで確定したURLを開く
+ * @param {string} url - URL
+ * @param {string} disposition - 開き方（currentTab / newForegroundTab / newBackgroundTab）
+ */
+async function openOmniboxUrl(url, disposition) {
+    if (disposition === 'currentTab') {
+        await chrome.tabs.update({ url });
+    } else {
+        await chrome.tabs.create({ url, active: disposition === 'newForegroundTab' });
+    }
+}
+
+chrome.omnibox.onInputStarted.addListener(() => {
+    i18nReady.then(() => setOmniboxDefault());
+});
+
+chrome.omnibox.onInputChanged.addListener((input, suggest) => {
+    const text = input.trim();
+    omniboxLatestText = text;
+    clearTimeout(omniboxTimerId);
+
+    if (text.length < OMNIBOX_MIN_QUERY_LENGTH || WORLD_ID_PATTERN.test(text)) {
+        setOmniboxDefault();
+        return;
+    }
+
+    // 入力のたびにAPIを呼ばないよう、入力が止まってから検索する
+    omniboxTimerId = setTimeout(() => {
+        suggestWorlds(text, suggest).catch((error) => console.warn('候補の取得に失敗:', error));
+    }, OMNIBOX_DEBOUNCE_MS);
+});
+
+chrome.omnibox.onInputCancelled.addListener(() => {
+    clearTimeout(omniboxTimerId);
+    omniboxLatestText = '';
+});
+
+// 候補を選んだ場合は候補のワールドID、そのままEnterを押した場合は入力した文字列が渡される
+chrome.omnibox.onInputEntered.addListener((input, disposition) => {
+    clearTimeout(omniboxTimerId);
+    const text = input.trim();
+    if (!text) {
+        return;
+    }
+
+    const worldId = text.match(WORLD_ID_PATTERN)?.[0];
+    const suggestion = worldId ? omniboxSuggestions.get(worldId) : null;
+    const url = worldId ? toWorldPageUrl(worldId) : toSearchPageUrl(text);
+    const entry = worldId
+        ? { type: 'open', worldId, worldName: suggestion?.worldName, authorName: suggestion?.authorName }
+        : { type: 'search', worldName: text };
+
+    openOmniboxUrl(url, disposition)
+        .then(() => addHistory(entry))
+        .catch((error) => console.warn('アドレスバーから開けませんでした:', error));
+});
+
+// ============================================================================
+// キーボードショートカット
+// ============================================================================
+
+// ショートカット（manifest.json の commands）は、操作対象のポストを知っているコンテンツスクリプトに処理させる
+chrome.commands.onCommand.addListener(async (command, tab) => {
+    const tabId = tab?.id ?? (await chrome.tabs.query({ active: true, currentWindow: true }))[0]?.id;
+    if (tabId === undefined) {
+        return;
+    }
+
+    chrome.tabs.sendMessage(tabId, { action: ACTIONS.RUN_SHORTCUT, command }).catch(() => {
+        // 対応サイト以外のタブでは何もしない
+    });
+});
+
+// ============================================================================
+// セレクタのヘルスチェック・バッジ
+// ============================================================================
+
+/**
+ * コンテンツスクリプトからのヘルスチェック結果を保存し、バッジに反映する
+ * @param {{siteId: string, siteName: string, status: string, missing: string[], fallbacks: string[]}} report - 結果
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+async function reportSelectorHealth(report) {
+    if (!report || typeof report.siteId !== 'string' || !HEALTH_STATUSES.includes(report.status)) {
+        return { success: false, error: I18n.t('errorInvalidHealthReport') };
+    }
+
+    try {
+        const stored = await chrome.storage.local.get([STORAGE_KEYS.SELECTOR_HEALTH]);
+        const health = stored[STORAGE_KEYS.SELECTOR_HEALTH] || {};
+        health[report.siteId] = {
+            siteName: report.siteName || report.siteId,
+            status: report.status,
+            missing: Array.isArray(report.missing) ? report.missing : [],
+            fallbacks: Array.isArray(report.fallbacks) ? report.fallbacks : [],
+            checkedAt: Date.now()
+        };
+        await chrome.storage.local.set({ [STORAGE_KEYS.SELECTOR_HEALTH]: health });
+        await updateBadge();
+        return { success: true };
+    } catch (error) {
+        return { success: false, error: I18n.t('errorSaveHealthReport', error.message) };
+    }
+}
+
+/**
+ * 拡張機能アイコンのバッジを現在の警告状態に合わせて更新する
+ */
+async function updateBadge() {
+    await i18nReady;
+    const stored = await chrome.storage.local.get([STORAGE_KEYS.SELECTOR_HEALTH, STORAGE_KEYS.SESSION_EXPIRED]);
+    const health = stored[STORAGE_KEYS.SELECTOR_HEALTH] || {};
+
+    const warnings = Object.values(health)
+        .filter(site => site.status === 'broken')
+        .map(site => I18n.t('badgeSiteChanged', site.siteName));
+    if (stored[STORAGE_KEYS.SESSION_EXPIRED] === true) {
+        warnings.unshift(I18n.t('badgeLoginRequired'));
+    }
+
+    await chrome.action.setBadgeText({ text: warnings.length > 0 ? BADGE.WARNING_TEXT : '' });
+    await chrome.action.setBadgeBackgroundColor({ color: BADGE.WARNING_COLOR });
+    await chrome.action.setTitle({
+        title: warnings.length > 0 ? `${BADGE.DEFAULT_TITLE}\n${warnings.join('\n')}` : BADGE.DEFAULT_TITLE
+    });
+}
+
+// ブラウザ起動時はバッジが消えているため、保存された状態から復元し、セッションも確認し直す
+chrome.runtime.onStartup.addListener(() => {
+    updateBadge().catch((error) => console.warn('バッジの更新に失敗:', error));
+    validateSession().catch((error) => console.warn('セッションの確認に失敗:', error));
+    scheduleSessionCheck().catch((error) => console.warn('アラームの登録に失敗:', error));
+});
+
+// ============================================================================
+// 設定の移行
+// ============================================================================
+
+// 以前のバージョンで chrome.storage.local に保存した設定を chrome.storage.sync に移す
+chrome.runtime.onInstalled.addListener(() => {
+    Settings.migrateToSync().catch((error) => console.warn('設定の移行に失敗:', error));
+});
+
+// ============================================================================
+// 表示言語
+// ============================================================================
+
+/** 設定した表示言語の読み込み（メッセージの処理やメニュー・バッジの表示はこれを待つ） */
+let i18nReady = I18n.init();
+
+/**
+ * 表示言語の設定が変わったときに、Service Workerが表示している文字列を作り直す
+ */
+async function applyUiLanguage() {
+    i18nReady = I18n.init();
+    await i18nReady;
+    createSelectionMenus();
+    setOmniboxDefault();
+    await updateBadge();
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (Settings.hasChanges(changes, areaName, [I18n.STORAGE_KEY])) {
+        applyUiLanguage().catch((error) => console.warn('表示言語の切り替えに失敗:', error));
+    }
+});
+
+// ============================================================================
+// メッセージハンドラー
+// ============================================================================
+
+/**
+ * メッセージを処理する
+ * @param {object} request - リクエストオブジェクト
+ * @param {chrome.runtime.MessageSender} sender - 送信元
+ * @returns {Promise<object>} レスポンスオブジェクト
+ */
+async function handleMessage(request, sender) {
+    if (!request || !request.action) {
+        return { error: 'Invalid request: action is required' };
+    }
+
+    switch (request.action) {
+        case ACTIONS.CHECK_AUTH: {
+            const authStatus = await checkAuthStatus();
+            const stored = await chrome.storage.local.get([STORAGE_KEYS.DISPLAY_NAME]);
+            return {
+                isAuthenticated: authStatus.isAuthenticated,
+                displayName: stored[STORAGE_KEYS.DISPLAY_NAME] || authStatus.user?.displayName
+            };
+        }
+
+        case ACTIONS.LOGIN:
+            return login(request.username, request.password);
+
+        case ACTIONS.VERIFY_2FA:
+            return verify2FA(request.code, request.method);
+
+        case ACTIONS.SEARCH_WORLD:
+            return searchWorld(request.worldName, request.authorName, {
+                withCandidates: request.withCandidates === true,
+                refresh: request.refresh === true
+            });
+
+        case ACTIONS.SAVE_WORLD_CHOICE:
+            return saveWorldChoice(request.worldName, request.worldId, request.resolvedName);
+
+        case ACTIONS.GET_WORLD_CACHE_STATS:
+            return getWorldCacheStats();
+
+        case ACTIONS.INVALIDATE_WORLD_CACHE:
+            return invalidateWorldCache(request.worldName, request.authorName);
+
+        case ACTIONS.CLEAR_WORLD_CACHE:
+            return clearWorldCache();
+
+        case ACTIONS.GET_WORLD_DETAILS:
+            return getWorldDetails(request.worldId);
+
+        case ACTIONS.GET_RESOLVED_WORLD:
+            return request.worldId
+                ? getResolvedWorldById(request.worldId)
+                : getResolvedWorld(request.worldName, request.authorName);
+
+        case ACTIONS.SELF_INVITE:
+            return selfInvite(request.worldId);
+
+        case ACTIONS.GET_FAVORITE_GROUPS:
+            return getFavoriteGroups(request.refresh === true);
+
+        case ACTIONS.GET_FAVORITE_STATUS:
+            return getFavoriteStatus(request.worldId);
+
+        case ACTIONS.ADD_FAVORITE:
+            return addFavorite(request.worldId);
+
+        case ACTIONS.ADD_HISTORY:
+            return addHistory(request.entry);
+
+        case ACTIONS.DELETE_HISTORY:
+            return deleteHistory(request.id);
+
+        case ACTIONS.CLEAR_HISTORY:
+            return clearHistory();
+
+        case ACTIONS.SET_HISTORY_LIMIT:
+            return setHistoryLimit(request.limit);
+
+        case ACTIONS.IMPORT_HISTORY:
+            return importHistory(request.entries);
+
+        case ACTIONS.REPORT_SELECTOR_HEALTH:
+            return reportSelectorHealth(request.report);
+
+        case ACTIONS.REQUEST_RELOGIN:
+            return requestRelogin(sender.tab?.id, request.lookupId);
+
+        case ACTIONS.OPEN_WORLD_PAGE:
+            return openWorldTab(request.worldId, sender.tab?.id);
+
+        case ACTIONS.OPEN_SEARCH_PAGE:
+            return openSearchTab(request.worldName, sender.tab?.id);
+
+        case ACTIONS.OPEN_RELOGIN_WINDOW:
+            // ログイン状態を未ログインにしておき、ログインの完了をストレージの変更で通知できるようにする
+            return markSessionExpired().then(openReloginWindow).then(
+                () => ({ success: true }),
+                (error) => ({ success: false, error: I18n.t('errorOpenRelogin', error.message) })
+            );
+
+        case ACTIONS.GET_WORLD_CANDIDATES:
+            return getWorldCandidates(request.query);
+
+        case ACTIONS.GET_LOCALE_MESSAGES:
+            // コンテンツスクリプトはメッセージファイルを直接読めないため、代わりに読み込んで渡す
+            return I18n.loadMessages(request.language);
 
         case ACTIONS.LOGOUT:
             return logout();
@@ -312,6 +2544,10 @@ async function handleMessage(request) {
 
 // メッセージリスナー
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-    handleMessage(request).then(sendResponse);
+    // 処理中の例外でも応答を返す（返さないと送信元が応答を待ち続ける）
+    const response = i18nReady
+        .then(() => handleMessage(request, sender))
+        .catch((error) => ({ success: false, error: error.message }));
+    trackWaitingTab(sender.tab?.id, response).then(sendResponse);
     return true; // 非同期レスポンスのために必要
 });
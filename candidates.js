@@ -0,0 +1,215 @@
+// VRC World Opener - Candidates Page Script
+// 右クリックメニューから開く、ワールドの候補一覧ページ
+
+'use strict';
+
+document.addEventListener('DOMContentLoaded', async () => {
+    // ============================================================================
+    // 定数定義
+    // ============================================================================
+
+    /** 設定の読み書き（settings.js） */
+    const Settings = globalThis.VRCWorldSettings;
+
+    /** 表示する文字列（i18n.js） */
+    const I18n = globalThis.VRCWorldI18n;
+
+    // 画面の文字列は、設定した表示言語を読み込んでから設定する
+    await I18n.init();
+    I18n.localizeDocument();
+
+    /** ストレージキー（settings.js） */
+    const STORAGE_KEYS = Settings.STORAGE_KEYS;
+
+    /** メッセージアクション */
+    const ACTIONS = {
+        GET_WORLD_CANDIDATES: 'getWorldCandidates',
+        OPEN_RELOGIN_WINDOW: 'openReloginWindow',
+        ADD_HISTORY: 'addHistory'
+    };
+
+    /** VRChat WebサイトURL */
+    const VRCHAT_WEB_BASE = 'https://vrchat.com/home';
+
+    // ============================================================================
+    // DOM要素の取得
+    // ============================================================================
+
+    /** @type {HTMLFormElement} */
+    const candidateForm = document.getElementById('candidate-form');
+    /** @type {HTMLInputElement} */
+    const queryInput = document.getElementById('candidate-query');
+    /** @type {HTMLButtonElement} */
+    const searchBtn = document.getElementById('candidate-search-btn');
+    /** @type {HTMLElement} */
+    const statusText = document.getElementById('candidate-status');
+    /** @type {HTMLButtonElement} */
+    const loginBtn = document.getElementById('candidate-login-btn');
+    /** @type {HTMLUListElement} */
+    const candidateList = document.getElementById('candidate-list');
+    /** @type {HTMLAnchorElement} */
+    const searchLink = document.getElementById('candidate-search-link');
+
+    // ============================================================================
+    // 表示
+    // ============================================================================
+
+    /**
+     * 状態メッセージを表示する
+     * @param {string} message - メッセージ（空文字で非表示）
+     * @param {boolean} [isError] - エラーとして表示するかどうか
+     */
+    function showStatus(message, isError = false) {
+        statusText.textContent = message;
+        statusText.classList.toggle('error', isError);
+    }
+
+    /**
+     * 候補を1件分の要素にする
+     * @param {{worldId: string, worldName: string, authorName: string, thumbnailImageUrl: string, capacity: number}} candidate - 候補
+     * @returns {HTMLLIElement} 要素
+     */
+    function createCandidateItem(candidate) {
+        const item = document.createElement('li');
+
+        const link = document.createElement('a');
+        link.className = 'candidate-item';
+        link.href = `${VRCHAT_WEB_BASE}/world/${encodeURIComponent(candidate.worldId)}`;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.addEventListener('click', () => {
+            chrome.runtime.sendMessage({
+                action: ACTIONS.ADD_HISTORY,
+                entry: {
+                    type: 'open',
+                    worldId: candidate.worldId,
+                    worldName: candidate.worldName,
+                    authorName: candidate.authorName
+                }
+            }).catch((error) => console.warn('履歴の記録失敗:', error));
+        });
+
+        if (candidate.thumbnailImageUrl) {
+            const thumbnail = document.createElement('img');
+            thumbnail.className = 'candidate-thumbnail';
+            thumbnail.src = candidate.thumbnailImageUrl;
+            thumbnail.alt = '';
+            thumbnail.loading = 'lazy';
+            link.appendChild(thumbnail);
+        }
+
+        const info = document.createElement('span');
+        info.className = 'candidate-info';
+
+        const name = document.createElement('span');
+        name.className = 'candidate-name';
+        name.textContent = candidate.worldName;
+        name.title = candidate.worldName;
+
+        const meta = document.createElement('span');
+        meta.className = 'candidate-meta';
+        const author = candidate.authorName ? I18n.t('worldAuthor', candidate.authorName) : '';
+        const capacity = candidate.capacity ? I18n.t('worldCapacity', candidate.capacity) : '';
+        meta.textContent = [author, capacity].filter(Boolean).join(I18n.t('listSeparator'));
+
+        info.append(name, meta);
+        link.appendChild(info);
+        item.appendChild(link);
+        return item;
+    }
+
+    // ============================================================================
+    // 検索
+    // ============================================================================
+
+    /**
+     * 入力されたワールド名で候補を検索して表示する
+     */
+    async function loadCandidates() {
+        const query = queryInput.value.trim();
+        candidateList.replaceChildren();
+        loginBtn.classList.add('hidden');
+
+        if (!query) {
+            showStatus(I18n.t('errorWorldNameRequired'), true);
+            return;
+        }
+
+        // ページのURLにも反映し、再読み込みで同じ検索ができるようにする
+        history.replaceState(null, '', `?q=${encodeURIComponent(query)}`);
+        document.title = I18n.t('candidatesPageTitleWithQuery', query);
+        searchLink.href = `${VRCHAT_WEB_BASE}/search/worlds/${encodeURIComponent(query)}`;
+
+        searchBtn.disabled = true;
+        showStatus(I18n.t('statusSearching'));
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: ACTIONS.GET_WORLD_CANDIDATES,
+                query
+            });
+
+            if (response && response.success) {
+                if (response.candidates.length === 0) {
+                    showStatus(I18n.t('candidatesNotFound', query));
+                } else {
+                    showStatus(I18n.t('candidatesFound', [query, response.candidates.length]));
+                    candidateList.replaceChildren(...response.candidates.map(createCandidateItem));
+                }
+            } else if (response && response.needsAuth) {
+                // ログインが済むとストレージの変更を受けて検索し直す
+                showStatus(I18n.t('candidatesLoginRequired'), true);
+                loginBtn.classList.remove('hidden');
+            } else {
+                showStatus(response?.error || I18n.t('errorSearchFailed'), true);
+            }
+        } catch (error) {
+            showStatus(error instanceof Error ? error.message : I18n.t('errorSearchFailed'), true);
+        } finally {
+            searchBtn.disabled = false;
+        }
+    }
+
+    /**
+     * 再ログイン用のウィンドウを開く
+     */
+    async function handleLogin() {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: ACTIONS.OPEN_RELOGIN_WINDOW });
+            if (!response || !response.success) {
+                showStatus(response?.error || I18n.t('errorOpenReloginWindow'), true);
+            }
+        } catch (error) {
+            showStatus(error instanceof Error ? error.message : I18n.t('errorOpenReloginWindow'), true);
+        }
+    }
+
+    // ============================================================================
+    // イベントリスナー設定
+    // ============================================================================
+
+    candidateForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        loadCandidates();
+    });
+
+    loginBtn.addEventListener('click', handleLogin);
+
+    // ログインが済んだら検索し直す
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[STORAGE_KEYS.IS_AUTHENTICATED]?.newValue === true) {
+            loadCandidates();
+        }
+    });
+
+    // ============================================================================
+    // 初期化
+    // ============================================================================
+
+    queryInput.value = new URLSearchParams(location.search).get('q') || '';
+    if (queryInput.value) {
+        await loadCandidates();
+    } else {
+        queryInput.focus();
+    }
+});
@@ -1,5 +1,5 @@
 // VRC World Opener - Content Script
-// X（Twitter）のポストからVRChatワールド名を検出してリンク化する
+// X（Twitter）・Bluesky・MisskeyのポストからVRChatワールド名を検出してリンク化する
 
 'use strict';
 
@@ -8,6 +8,21 @@
     // 定数定義
     // ============================================================================
 
+    /** 設定の読み書き（settings.js） */
+    const Settings = globalThis.VRCWorldSettings;
+
+    /** ワールド検出ロジック（detection.js） */
+    const Detection = globalThis.VRCWorldDetection;
+
+    /** 対応サイトの定義（sites.js） */
+    const Sites = globalThis.VRCWorldSites;
+
+    /** 表示する文字列（i18n.js） */
+    const I18n = globalThis.VRCWorldI18n;
+
+    /** 現在のサイトのアダプター。サイトごとのDOM構造の違いはここで吸収する */
+    const Site = Sites.findAdapter(location.hostname);
+
     /** 処理済みマーカー属性名 */
     const PROCESSED_ATTR = 'data-vrchat-world-linker-processed';
 
@@ -20,67 +35,112 @@
     /** DOM変更検知後の処理遅延（ミリ秒） */
     const DEBOUNCE_DELAY_MS = 300;
 
-    /** 対象ハッシュタグ（小文字） */
-    const TARGET_HASHTAG = '#vrchat_world紹介';
+    /** プレビューカード表示までの遅延（ミリ秒） */
+    const PREVIEW_DELAY_MS = 400;
 
-    /** ストレージキー */
-    const STORAGE_KEYS = {
-        EXTENSION_ENABLED: 'extensionEnabled',
-        SHOW_OPEN_BTN: 'showOpenBtn',
-        SHOW_SEARCH_BTN: 'showSearchBtn'
-    };
+    /** プレビューカードに表示するタグの最大数 */
+    const PREVIEW_MAX_TAGS = 8;
 
-    /** メッセージアクション */
-    const ACTIONS = {
-        SEARCH_WORLD: 'searchWorld',
+    /** ポストの外にある対象ハッシュタグのリンクがこの数以上あれば、ポストのセレクタが合っていないとみなす */
+    const ORPHAN_HASHTAG_THRESHOLD = 2;
 
-        UPDATE_SETTINGS: 'updateSettings'
+    /** セレクタのヘルスチェック結果 */
+    const HEALTH_STATUS = {
+        OK: 'ok',
+        FALLBACK: 'fallback',
+        BROKEN: 'broken'
     };
 
-    /** DOM セレクタ（X/Twitterの仕様変更時はここを修正） */
-    const SELECTORS = {
-        TWEET: '[data-testid="tweet"]',
-        TWEET_TEXT: '[data-testid="tweetText"]',
-        ACTION_BAR: '[role="group"]',
-        VRCHAT_WORLD_LINK: 'a[href*="vrchat.com/home/world/"]'
+    /** プラットフォーム表示名 */
+    const PLATFORM_LABELS = {
+        standalonewindows: 'PC',
+        android: 'Android',
+        ios: 'iOS'
     };
 
-    /** ボタンテキスト */
-    const BUTTON_TEXT = {
-        DEFAULT: '🔗 ワールドを開く',
-        LOADING: '🔄 取得中...',
-        SUCCESS: '✅ 開きました',
-        AUTH_REQUIRED: '⚠️ ログインが必要',
-        NOT_FOUND: '❌ 取得に失敗しました',
-        SEARCH_ONLY: '🔍 ワールド名で検索'
+    /** 自分のプラットフォームに対応していないワールドの表示方法 */
+    const PLATFORM_MISMATCH_MODES = {
+        WARN: 'warn',
+        DIM: 'dim'
     };
 
-    /** ワールド名検出パターン */
-    const WORLD_PATTERNS = [
-        // World: 形式（コロン前後スペース有無対応）
-        /World\s*[:：]\s*(.+?)(?:\s*$|\s*#|\n|<)/i,
-
-        // 括弧形式（各種括弧対応）
-        /World\s*[『「【\(（](.+?)[』」】\)）]/i,
+    /** ストレージキー（settings.js） */
+    const STORAGE_KEYS = Settings.STORAGE_KEYS;
+
+    /** コンテンツスクリプトで使う設定（変更されたら読み込み直して全ポストを再処理する） */
+    const SETTING_KEYS = [
+        STORAGE_KEYS.EXTENSION_ENABLED,
+        STORAGE_KEYS.SHOW_OPEN_BTN,
+        STORAGE_KEYS.SHOW_SEARCH_BTN,
+        STORAGE_KEYS.PICK_CANDIDATES,
+        STORAGE_KEYS.SHOW_INVITE_BTN,
+        STORAGE_KEYS.SHOW_FAVORITE_BTN,
+        STORAGE_KEYS.CUSTOM_PATTERNS,
+        STORAGE_KEYS.TARGET_HASHTAGS,
+        STORAGE_KEYS.MATCH_ANY_POST,
+        STORAGE_KEYS.MY_PLATFORM,
+        STORAGE_KEYS.PLATFORM_MISMATCH_MODE
+    ];
 
-        // 絵文字形式（地球絵文字バリエーション）- uフラグでサロゲートペア対応
-        /(?:🌐|🌍|🌎|🌏|🗺️)\s*(.+?)(?:\s*$|\s*#|\r?\n|\r|<)/u,
+    /** メッセージアクション */
+    const ACTIONS = {
+        SEARCH_WORLD: 'searchWorld',
+        SAVE_WORLD_CHOICE: 'saveWorldChoice',
+        GET_WORLD_DETAILS: 'getWorldDetails',
+        GET_RESOLVED_WORLD: 'getResolvedWorld',
+        SELF_INVITE: 'selfInvite',
+        GET_FAVORITE_STATUS: 'getFavoriteStatus',
+        ADD_FAVORITE: 'addFavorite',
+        ADD_HISTORY: 'addHistory',
+        REPORT_SELECTOR_HEALTH: 'reportSelectorHealth',
+        REQUEST_RELOGIN: 'requestRelogin',
+        OPEN_WORLD_PAGE: 'openWorldPage',
+        OPEN_SEARCH_PAGE: 'openSearchPage',
+
+        API_RATE_LIMITED: 'apiRateLimited',
+        RESUME_LOOKUP: 'resumeLookup',
+        CANCEL_LOOKUP: 'cancelLookup',
+        RUN_SHORTCUT: 'runShortcut'
+    };
 
-        // 日本語表記（コロン形式）
-        /ワールド(?:名)?\s*[:：]\s*(.+?)(?:\s*$|\s*#|\n|<)/,
+    /** キーボードショートカット（manifest.json の commands） */
+    const SHORTCUT_COMMANDS = {
+        OPEN_WORLD: 'open-world',
+        SEARCH_WORLD: 'search-world'
+    };
 
-        // 日本語表記（スペース区切り形式）- 「ワールド名　◯◯」や「ワールド　◯◯」
-        /ワールド(?:名)?[\s　]+(.+?)(?:\s*$|\s*#|\n|<)/,
+    /** ボタンテキストのメッセージキー（_locales） */
+    const BUTTON_TEXT_KEYS = {
+        DEFAULT: 'buttonOpenWorld',
+        LOADING: 'buttonLoading',
+        SUCCESS: 'buttonOpened',
+        SUCCESS_GUESS: 'buttonOpenedGuess',
+        SUCCESS_FALLBACK: 'buttonOpenedFallback',
+        AUTH_REQUIRED: 'buttonAuthRequired',
+        NOT_FOUND: 'buttonNotFound',
+        OPEN_FAILED: 'buttonOpenFailed',
+        CHOOSE: 'buttonChoose',
+        SEARCH_ONLY: 'buttonSearch',
+        INVITE: 'buttonInvite',
+        INVITING: 'buttonInviting',
+        INVITED: 'buttonInvited',
+        INVITE_FAILED: 'buttonInviteFailed',
+        FAVORITE: 'buttonFavorite',
+        FAVORITING: 'buttonFavoriting',
+        FAVORITED: 'buttonFavorited',
+        FAVORITE_FAILED: 'buttonFavoriteFailed',
+        RATE_LIMITED: 'buttonRateLimited',
+        RATE_LIMITED_FAILED: 'buttonRateLimitedFailed'
+    };
 
-        // World name形式
-        /World\s*name\s*[:：]\s*(.+?)(?:\s*$|\s*#|\n|<)/i,
+    /** 名前が一致せず、最も近いワールドを推測で選んだことを表す一致度（matching.js の MATCH_LEVELS.GUESS） */
+    const GUESS_MATCH_LEVEL = 'guess';
 
-        // 「ワールド名 + 改行 + By 作者名」形式（絵文字がテキストから消える場合の対応）
-        /^(.+?)\n+By\s/im,
+    /** 処理中を表すボタンテキスト（レート制限の通知で再試行待ちの表示に切り替える） */
+    const BUSY_BUTTON_TEXT_NAMES = ['LOADING', 'INVITING', 'FAVORITING'];
 
-        // 「ワールド名 + 改行 + Author 作者名」形式
-        /^(.+?)\n+Author\s*[:：]?\s/im,
-    ];
+    /** ボタンテキスト（表示言語を読み込んでから loadButtonText で設定する） */
+    const BUTTON_TEXT = {};
 
     // ============================================================================
     // 状態管理
@@ -92,96 +152,100 @@
     /* ボタン表示設定 */
     let showOpenBtn = true;
     let showSearchBtn = true;
+    let showInviteBtn = false;
+    let showFavoriteBtn = false;
+
+    /** 完全一致がない場合に候補から選ぶかどうか */
+    let pickCandidates = false;
+
+    /** @type {RegExp[]} ユーザー定義の検出パターン（コンパイル済み） */
+    let customPatterns = [];
+
+    /** @type {string[]} 対象ハッシュタグ */
+    let targetHashtags = [...Detection.DEFAULT_TARGET_HASHTAGS];
+
+    /** ハッシュタグがなくてもワールドを検出できたポストを対象にするかどうか */
+    let matchAnyPost = false;
+
+    /** 自分のプラットフォーム（空文字は指定なし） */
+    let myPlatform = '';
+
+    /** 自分のプラットフォームに対応していないワールドの表示方法 */
+    let platformMismatchMode = PLATFORM_MISMATCH_MODES.WARN;
 
     /** デバウンス用タイマーID */
     let debounceTimerId = null;
 
-    // ============================================================================
-    // ユーティリティ関数
-    // ============================================================================
+    /** @type {HTMLDivElement|null} プレビューカード（ページ内で1つを使い回す） */
+    let previewCard = null;
 
-    /**
-     * 要素からテキストを取得する（img要素のalt属性=絵文字も含める）
-     * @param {Element} element - 対象要素
-     * @returns {string} テキスト内容
-     */
-    function getTextWithEmoji(element) {
-        if (!element) {
-            return '';
-        }
+    /** プレビューカード表示用タイマーID */
+    let previewTimerId = null;
 
-        let result = '';
+    /** 表示中のプレビューを識別するトークン（非同期処理の追い越し対策） */
+    let previewToken = 0;
 
-        /**
-         * ノードを再帰的に走査してテキストを収集
-         * @param {Node} node - 対象ノード
-         */
-        function traverse(node) {
-            if (node.nodeType === Node.TEXT_NODE) {
-                result += node.textContent;
-            } else if (node.nodeType === Node.ELEMENT_NODE) {
-                // img要素の場合はalt属性を取得（絵文字が入っている）
-                if (node.tagName === 'IMG' && node.alt) {
-                    result += node.alt;
-                }
-                // 子要素を再帰的に処理
-                for (const child of node.childNodes) {
-                    traverse(child);
-                }
-            }
-        }
+    /** @type {Map<string, () => Promise<void>>} ログイン待ちの処理（再ログイン後にService Workerから再開される） */
+    const pendingLookups = new Map();
 
-        traverse(element);
-        return result;
-    }
+    /** ログイン待ちの処理に付けたIDの連番 */
+    let lastLookupId = 0;
 
-    /**
-     * ワールド名を抽出する
-     * @param {string} text - 解析対象テキスト
-     * @returns {string|null} ワールド名、見つからない場合はnull
-     */
-    function extractWorldName(text) {
-        if (!text || typeof text !== 'string') {
-            return null;
-        }
+    /** @type {WeakMap<HTMLButtonElement, () => Promise<void>>} 「ワールドを開く」ボタンの処理（キーボードショートカット用） */
+    const linkButtonActions = new WeakMap();
 
-        for (const pattern of WORLD_PATTERNS) {
-            const match = text.match(pattern);
-            if (match && match[1]) {
-                let worldName = match[1].trim();
+    /** @type {WeakMap<HTMLDivElement, {entry: object, source: object}>} ボタングループごとのワールドと元ポスト */
+    const buttonGroupWorlds = new WeakMap();
 
-                // 末尾のハッシュタグや改行を除去
-                worldName = worldName.replace(/\s*#.*$/, '').trim();
+    /** @type {Map<string, Promise<object>>} ワールドIDごとの詳細取得結果 */
+    const worldDetailsCache = new Map();
 
-                // 末尾の括弧類を除去（重複対策）
-                worldName = worldName.replace(/[』」】\)）]+$/, '').trim();
+    /** 前回のヘルスチェック以降の集計（ボタンを挿入できたポスト数と、見つからなかった要素の種類） */
+    const scanStats = { inserted: 0, missing: new Set() };
 
-                // 絵文字と壊れたサロゲートペアを除去
-                worldName = worldName.replace(/[\u{1F300}-\u{1F9FF}]/gu, '').trim();
-                worldName = worldName.replace(/[\uD800-\uDFFF]/g, '').trim();
+    /** 最後にService Workerへ報告したヘルスチェック結果（変化があった場合のみ報告する） */
+    let lastHealthReport = '';
 
-                if (worldName.length > 0) {
-                    return worldName;
-                }
+    // ============================================================================
+    // ユーティリティ関数
+    // ============================================================================
+
+    /**
+     * ポスト内のリンクからワールドIDをすべて抽出する
+     * @param {Element} tweetElement - ポスト要素
+     * @returns {string[]} 重複を除いたワールドID一覧（出現順）
+     */
+    function extractWorldIdsFromLinks(tweetElement) {
+        const worldIds = [];
+
+        for (const link of Site.getLinks(tweetElement)) {
+            // href属性・表示テキスト・title属性の順に確認
+            const worldId = Detection.extractWorldIdFromUrl(link.href) ||
+                Detection.extractWorldIdFromUrl(link.textContent) ||
+                Detection.extractWorldIdFromUrl(link.title);
+
+            if (worldId && !worldIds.includes(worldId)) {
+                worldIds.push(worldId);
             }
         }
-        return null;
+        return worldIds;
     }
 
     /**
-     * URLからワールドIDを抽出する
-     * @param {string} url - 対象URL
-     * @returns {string|null} ワールドID
+     * 検出したワールド名とリンクのワールドIDを1ワールドごとにまとめる
+     * 件数が一致する場合は出現順に対応付け、一致しない場合は別々のワールドとして扱う
+     * @param {{worldName: string, authorName: string|null}[]} worlds - テキストから検出したワールド
+     * @param {string[]} worldIds - リンクから検出したワールドID
+     * @returns {{worldName: string|null, authorName: string|null, worldId: string|null}[]} ワールド一覧
      */
-    function extractWorldIdFromUrl(url) {
-        if (!url) return null;
-        // vrchat.com/home/world/wrld_xxxx 形式
-        let match = url.match(/vrchat\.com\/home\/world\/(wrld_[a-f0-9-]{36})/i);
-        if (match) return match[1];
-
-        // vrchat.com/home/launch?worldId=wrld_xxxx 形式
-        match = url.match(/[?&]worldId=(wrld_[a-f0-9-]{36})/i);
-        return match ? match[1] : null;
+    function buildWorldEntries(worlds, worldIds) {
+        if (worlds.length === worldIds.length) {
+            return worlds.map((world, i) => ({ ...world, worldId: worldIds[i] }));
+        }
+        return [
+            ...worlds.map(world => ({ ...world, worldId: null })),
+            ...worldIds.map(worldId => ({ worldName: null, authorName: null, worldId }))
+        ];
     }
 
     /**
@@ -210,50 +274,80 @@
 
     /**
      * VRChatリンクボタンを作成する
-     * @param {string} worldName - ワールド名
+     * @param {string|null} worldName - ワールド名（リンクのみから検出した場合はnull）
+     * @param {string|null} [authorName] - 作者名（同名ワールドの絞り込みに使用）
+     * @param {{tweetUrl: string|null, tweetAuthor: string|null}|null} [source] - 元ポストの情報（履歴に記録）
      * @returns {HTMLButtonElement} 作成されたボタン要素
      */
-    function createLinkButton(worldName) {
+    function createLinkButton(worldName, authorName = null, source = null) {
+        const displayName = worldName || I18n.t('thisWorld');
+
         const button = document.createElement('button');
         button.className = 'vrchat-world-link-btn';
         button.textContent = BUTTON_TEXT.DEFAULT;
-        button.title = `"${worldName}" をVRChatで検索`;
-        button.setAttribute('aria-label', `${worldName} のワールドページを開く`);
-
-        button.addEventListener('click', async (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-
-            // 既にワールドIDが特定されている場合（既存URLからの検出）
-            // ボタン作成時にdataset.worldIdがセットされている、または第2引数で渡す設計にするが
-            // datasetで判定するのがシンプル
-            if (button.dataset.worldId) {
-                window.open(`${VRCHAT_WEB_BASE}/world/${button.dataset.worldId}`, '_blank', 'noopener');
-                button.textContent = BUTTON_TEXT.SUCCESS;
-                setTimeout(() => {
-                    button.textContent = BUTTON_TEXT.DEFAULT;
-                }, BUTTON_RESET_DELAY_MS);
-                return;
-            }
+        const defaultTitle = (authorName
+            ? I18n.t('titleSearchWorldByAuthor', [displayName, authorName])
+            : I18n.t('titleSearchWorld', displayName)) + I18n.t('titleShiftClickRetry');
+        button.title = defaultTitle;
+        button.setAttribute('aria-label', I18n.t('ariaOpenWorldPage', displayName));
 
+        /**
+         * ワールドを検索して開く
+         * @param {boolean} refresh - キャッシュと候補の選択記憶を破棄して再検索する
+         * @param {boolean} [withoutClick] - クリック操作を伴わない（再ログイン後の再開・キーボードショートカット）
+         */
+        async function searchAndOpen(refresh, withoutClick = false) {
             button.disabled = true;
             button.textContent = BUTTON_TEXT.LOADING;
+            // 前回の検索で付けた「検索語を変えて見つけた」表示を戻す
+            button.title = defaultTitle;
 
             try {
                 // Background scriptにワールド検索を依頼
                 const response = await chrome.runtime.sendMessage({
                     action: ACTIONS.SEARCH_WORLD,
-                    worldName: worldName
+                    worldName: worldName,
+                    authorName: authorName,
+                    withCandidates: pickCandidates,
+                    refresh: refresh
                 });
 
                 if (response && response.success && response.worldId) {
                     // 直接ワールドページを開く
-                    window.open(`${VRCHAT_WEB_BASE}/world/${response.worldId}`, '_blank', 'noopener');
-                    button.textContent = BUTTON_TEXT.SUCCESS;
+                    const opened = await openWorldPage(response.worldId, withoutClick);
+                    button.dataset.resolvedWorldId = response.worldId;
+                    showResolvedPlatforms(button, response.platforms);
+                    if (opened) {
+                        recordHistory('open', {
+                            worldId: response.worldId,
+                            worldName: response.worldName || worldName,
+                            authorName
+                        }, source);
+                    }
+                    // 推測で開いた場合や副題を除くなどして見つけた場合は別の表示にし、
+                    // 違っていたら Shift+クリックや候補選択で探し直せるようにする
+                    if (!opened) {
+                        button.textContent = BUTTON_TEXT.OPEN_FAILED;
+                    } else if (response.matchLevel === GUESS_MATCH_LEVEL) {
+                        button.textContent = BUTTON_TEXT.SUCCESS_GUESS;
+                    } else if (response.searchQuery) {
+                        button.textContent = BUTTON_TEXT.SUCCESS_FALLBACK;
+                        button.title = I18n.t('titleFoundWithQuery', response.searchQuery) + I18n.t('titleShiftClickRetry');
+                    } else {
+                        button.textContent = BUTTON_TEXT.SUCCESS;
+                    }
+                } else if (response && response.success && response.needsChoice &&
+                    Array.isArray(response.candidates) && response.candidates.length > 0) {
+                    // 完全一致がない場合は候補を表示してユーザーに選んでもらう
+                    showCandidatePicker(button, worldName, response.candidates,
+                        (selected) => chooseCandidate(worldName, selected, authorName, source));
+                    button.textContent = BUTTON_TEXT.CHOOSE;
                 } else if (response && response.needsAuth) {
-                    // 認証が必要
-                    button.textContent = BUTTON_TEXT.AUTH_REQUIRED;
-                    alert('VRChatへのログインが必要です。拡張機能のポップアップからログインしてください。');
+                    // 認証が必要（ログインが済むと検索を再開する）
+                    requestRelogin(button, () => searchAndOpen(false, true));
+                } else if (response && response.rateLimited) {
+                    // リトライしても混雑が解消しなかった
+                    button.textContent = BUTTON_TEXT.RATE_LIMITED_FAILED;
                 } else {
                     // ワールドが見つからない場合はエラーメッセージを表示
                     button.textContent = BUTTON_TEXT.NOT_FOUND;
@@ -269,22 +363,62 @@
                 button.disabled = false;
                 button.textContent = BUTTON_TEXT.DEFAULT;
             }, BUTTON_RESET_DELAY_MS);
+        }
+
+        /**
+         * ワールドを開く（ワールドIDが分かっていればそのまま、分からなければ検索してから開く）
+         * @param {boolean} refresh - キャッシュと候補の選択記憶を破棄して再検索する
+         * @param {boolean} [withoutClick] - クリック操作を伴わない
+         */
+        async function openWorld(refresh, withoutClick = false) {
+            // 既にワールドIDが特定されている場合（既存URLからの検出）
+            // ボタン作成時にdataset.worldIdがセットされている、または第2引数で渡す設計にするが
+            // datasetで判定するのがシンプル
+            if (button.dataset.worldId) {
+                if (await openWorldPage(button.dataset.worldId, withoutClick)) {
+                    recordHistory('open', { worldId: button.dataset.worldId, worldName, authorName }, source);
+                    button.textContent = BUTTON_TEXT.SUCCESS;
+                } else {
+                    button.textContent = BUTTON_TEXT.OPEN_FAILED;
+                }
+                setTimeout(() => {
+                    button.textContent = BUTTON_TEXT.DEFAULT;
+                }, BUTTON_RESET_DELAY_MS);
+                return;
+            }
+
+            await searchAndOpen(refresh, withoutClick);
+        }
+
+        button.addEventListener('click', async (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+
+            // Shift+クリック時はキャッシュと候補の選択記憶を破棄して再検索
+            await openWorld(e.shiftKey);
         });
 
+        // キーボードショートカットから同じ処理を呼べるようにする
+        linkButtonActions.set(button, () => openWorld(false, true));
+
+        attachPreviewCard(button, displayName, authorName);
+
         return button;
     }
 
     /**
      * 検索ページを直接開くボタンを作成する
      * @param {string} worldName - ワールド名
+     * @param {string|null} authorName - 作者名（履歴に記録）
+     * @param {{tweetUrl: string|null, tweetAuthor: string|null}|null} [source] - 元ポストの情報（履歴に記録）
      * @returns {HTMLButtonElement} 作成されたボタン要素
      */
-    function createSearchButton(worldName) {
+    function createSearchButton(worldName, authorName, source = null) {
         const button = document.createElement('button');
         button.className = 'vrchat-world-link-btn search-only-btn';
         button.textContent = BUTTON_TEXT.SEARCH_ONLY;
-        button.title = `"${worldName}" をVRChatの検索ページで開く`;
-        button.setAttribute('aria-label', `${worldName} の検索ページを開く`);
+        button.title = I18n.t('titleOpenSearchPage', worldName);
+        button.setAttribute('aria-label', I18n.t('ariaOpenSearchPage', worldName));
 
         // スタイル調整（メインボタンと区別する場合、またはmargin）
         button.style.marginLeft = '8px';
@@ -293,23 +427,883 @@
             e.preventDefault();
             e.stopPropagation();
             openSearchPage(worldName);
+            recordHistory('search', { worldId: null, worldName, authorName }, source);
+        });
+
+        return button;
+    }
+
+    /**
+     * 候補選択ポップオーバーを閉じる
+     * @param {Element} popover - ポップオーバー要素
+     */
+    function closeCandidatePicker(popover) {
+        if (popover) {
+            popover.remove();
+        }
+    }
+
+    /**
+     * 候補のワールドを1件分の選択肢として作成する
+     * @param {{worldId: string, worldName: string, authorName: string, thumbnailImageUrl: string, capacity: number}} candidate - 候補
+     * @param {Function} onSelect - 選択時のコールバック
+     * @returns {HTMLLIElement} 作成されたリスト要素
+     */
+    function createCandidateItem(candidate, onSelect) {
+        const item = document.createElement('li');
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'vrchat-world-candidate-item';
+        button.setAttribute('aria-label', I18n.t('ariaOpenWorldPage', candidate.worldName));
+
+        if (candidate.thumbnailImageUrl) {
+            const thumbnail = document.createElement('img');
+            thumbnail.className = 'vrchat-world-candidate-thumbnail';
+            thumbnail.src = candidate.thumbnailImageUrl;
+            thumbnail.alt = '';
+            thumbnail.loading = 'lazy';
+            thumbnail.referrerPolicy = 'no-referrer';
+            // 読み込めない場合はサムネイルなしで表示
+            thumbnail.addEventListener('error', () => thumbnail.remove());
+            button.appendChild(thumbnail);
+        }
+
+        const info = document.createElement('span');
+        info.className = 'vrchat-world-candidate-info';
+
+        const name = document.createElement('span');
+        name.className = 'vrchat-world-candidate-name';
+        name.textContent = candidate.worldName;
+        info.appendChild(name);
+
+        const meta = document.createElement('span');
+        meta.className = 'vrchat-world-candidate-meta';
+        const metaParts = [];
+        if (candidate.authorName) {
+            metaParts.push(I18n.t('worldAuthor', candidate.authorName));
+        }
+        if (candidate.capacity) {
+            metaParts.push(`👥 ${candidate.capacity}`);
+        }
+        if (Array.isArray(candidate.platforms) && candidate.platforms.length > 0) {
+            metaParts.push(`🖥 ${formatPlatforms(candidate.platforms)}`);
+        }
+        meta.textContent = metaParts.join(I18n.t('listSeparator'));
+        info.appendChild(meta);
+
+        button.appendChild(info);
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            onSelect(candidate);
+        });
+
+        item.appendChild(button);
+        return item;
+    }
+
+    /**
+     * 検索候補を選択するポップオーバーをボタンの下に表示する
+     * @param {HTMLButtonElement} anchorButton - 起点となるボタン
+     * @param {string} worldName - ポストから検出したワールド名
+     * @param {object[]} candidates - 候補一覧
+     * @param {Function} [onChoose] - 候補選択時の処理（省略時はワールドページを開く）
+     */
+    function showCandidatePicker(anchorButton, worldName, candidates, onChoose = (selected) => chooseCandidate(worldName, selected)) {
+        const container = anchorButton.closest('.vrchat-world-link-container');
+        if (!container) {
+            return;
+        }
+
+        // 既に表示中のものは閉じてから作り直す
+        const next = container.nextElementSibling;
+        if (next && next.classList.contains('vrchat-world-candidate-popover')) {
+            closeCandidatePicker(next);
+        }
+
+        const popover = document.createElement('div');
+        popover.className = 'vrchat-world-candidate-popover';
+        popover.setAttribute('role', 'dialog');
+        popover.setAttribute('aria-label', I18n.t('ariaCandidates', worldName));
+
+        // ポスト本体のクリック（詳細ページへの遷移）を発火させない
+        popover.addEventListener('click', (e) => e.stopPropagation());
+        popover.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                closeCandidatePicker(popover);
+                anchorButton.focus();
+            }
+        });
+
+        const header = document.createElement('div');
+        header.className = 'vrchat-world-candidate-header';
+
+        const title = document.createElement('span');
+        title.textContent = I18n.t('candidatesNoExactMatch', worldName);
+        header.appendChild(title);
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'vrchat-world-candidate-close';
+        closeButton.textContent = '✕';
+        closeButton.setAttribute('aria-label', I18n.t('ariaCloseCandidates'));
+        closeButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            closeCandidatePicker(popover);
+        });
+        header.appendChild(closeButton);
+        popover.appendChild(header);
+
+        const list = document.createElement('ul');
+        list.className = 'vrchat-world-candidate-list';
+        for (const candidate of candidates) {
+            list.appendChild(createCandidateItem(candidate, (selected) => {
+                onChoose(selected);
+                showPlatformBadges(container, selected.platforms);
+                closeCandidatePicker(popover);
+            }));
+        }
+        popover.appendChild(list);
+
+        const searchButton = document.createElement('button');
+        searchButton.type = 'button';
+        searchButton.className = 'vrchat-world-candidate-search';
+        searchButton.textContent = I18n.t('candidatesSearchPage');
+        searchButton.addEventListener('click', (e) => {
+            e.preventDefault();
+            openSearchPage(worldName);
+            closeCandidatePicker(popover);
+        });
+        popover.appendChild(searchButton);
+
+        container.insertAdjacentElement('afterend', popover);
+
+        const firstItem = popover.querySelector('.vrchat-world-candidate-item');
+        if (firstItem) {
+            firstItem.focus();
+        }
+    }
+
+    /**
+     * 選択された候補を開き、次回から直接開けるように記憶する
+     * @param {string} worldName - ポストから検出したワールド名
+     * @param {{worldId: string, worldName: string}} candidate - 選択された候補
+     * @param {string|null} [authorName] - 作者名（履歴に記録）
+     * @param {{tweetUrl: string|null, tweetAuthor: string|null}|null} [source] - 元ポストの情報（履歴に記録）
+     */
+    async function chooseCandidate(worldName, candidate, authorName = null, source = null) {
+        // ポップアップブロックを避けるため、記憶より先にページを開く
+        openWorldPage(candidate.worldId);
+        recordHistory('open', { worldId: candidate.worldId, worldName: candidate.worldName, authorName }, source);
+        await rememberCandidate(worldName, candidate);
+    }
+
+    /**
+     * 選択された候補をワールド名に対して記憶する
+     * @param {string} worldName - ポストから検出したワールド名
+     * @param {{worldId: string, worldName: string}} candidate - 選択された候補
+     */
+    async function rememberCandidate(worldName, candidate) {
+        try {
+            await chrome.runtime.sendMessage({
+                action: ACTIONS.SAVE_WORLD_CHOICE,
+                worldName: worldName,
+                worldId: candidate.worldId,
+                resolvedName: candidate.worldName
+            });
+        } catch (error) {
+            console.warn('候補の記憶に失敗:', error);
+        }
+    }
+
+    /**
+     * 「自分にInvite」ボタンを作成する
+     * @param {string|null} worldName - ワールド名
+     * @param {string|null} authorName - 作者名
+     * @param {string|null} worldId - リンクから検出したワールドID
+     * @param {{tweetUrl: string|null, tweetAuthor: string|null}|null} [source] - 元ポストの情報（履歴に記録）
+     * @returns {HTMLButtonElement} 作成されたボタン要素
+     */
+    function createInviteButton(worldName, authorName, worldId, source = null) {
+        const defaultTitle = I18n.t('titleInvite');
+
+        const button = document.createElement('button');
+        button.className = 'vrchat-world-link-btn invite-btn';
+        button.textContent = BUTTON_TEXT.INVITE;
+        button.title = defaultTitle;
+        button.setAttribute('aria-label', I18n.t('ariaInvite', worldName || I18n.t('thisWorld')));
+        button.dataset.defaultTitle = defaultTitle;
+
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            runWithResolvedWorld(button, { worldName, authorName, worldId }, BUTTON_TEXT.INVITE, (resolvedWorldId) => {
+                recordHistory('invite', { worldId: resolvedWorldId, worldName, authorName }, source);
+                return sendSelfInvite(button, resolvedWorldId);
+            });
         });
 
         return button;
     }
 
+    /**
+     * 「お気に入り」ボタンを作成する
+     * @param {string|null} worldName - ワールド名
+     * @param {string|null} authorName - 作者名
+     * @param {string|null} worldId - リンクから検出したワールドID
+     * @param {{tweetUrl: string|null, tweetAuthor: string|null}|null} [source] - 元ポストの情報（履歴に記録）
+     * @returns {HTMLButtonElement} 作成されたボタン要素
+     */
+    function createFavoriteButton(worldName, authorName, worldId, source = null) {
+        const button = document.createElement('button');
+        button.className = 'vrchat-world-link-btn favorite-btn';
+        button.textContent = BUTTON_TEXT.FAVORITE;
+        button.title = I18n.t('titleFavorite');
+        button.setAttribute('aria-label', I18n.t('ariaFavorite', worldName || I18n.t('thisWorld')));
+
+        button.addEventListener('click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            runWithResolvedWorld(button, { worldName, authorName, worldId }, BUTTON_TEXT.FAVORITE, (resolvedWorldId) => {
+                recordHistory('favorite', { worldId: resolvedWorldId, worldName, authorName }, source);
+                return addToFavorites(button, resolvedWorldId);
+            });
+        });
+
+        // ワールドIDが分かっている場合は、ホバー/フォーカスしたときにお気に入り済みかを確認して表示
+        // （ボタンを描画するたびに確認すると、お気に入り一覧の取得でワールド検索が待たされる）
+        if (worldId) {
+            let statusChecked = false;
+            const checkStatus = () => {
+                if (!statusChecked) {
+                    statusChecked = true;
+                    showFavoriteStatus(button, worldId);
+                }
+            };
+            button.addEventListener('mouseenter', checkStatus);
+            button.addEventListener('focus', checkStatus);
+        }
+
+        return button;
+    }
+
+    /**
+     * お気に入り済みであればボタンに表示する
+     * @param {HTMLButtonElement} button - 「お気に入り」ボタン
+     * @param {string} worldId - ワールドID
+     */
+    async function showFavoriteStatus(button, worldId) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: ACTIONS.GET_FAVORITE_STATUS,
+                worldId: worldId
+            });
+            if (response && response.success && response.favorited) {
+                markFavorited(button);
+            }
+        } catch (error) {
+            // 未ログインなどで確認できない場合は通常表示のまま
+            console.warn('お気に入り状態の取得失敗:', error);
+        }
+    }
+
+    /**
+     * ボタンをお気に入り済みの表示にする
+     * @param {HTMLButtonElement} button - 「お気に入り」ボタン
+     */
+    function markFavorited(button) {
+        button.disabled = true;
+        button.classList.add('favorited');
+        button.textContent = BUTTON_TEXT.FAVORITED;
+        button.title = I18n.t('titleFavorited');
+    }
+
+    /**
+     * ワールドをお気に入りに追加し、結果をボタンに表示する
+     * @param {HTMLButtonElement} button - 「お気に入り」ボタン
+     * @param {string} worldId - ワールドID
+     */
+    async function addToFavorites(button, worldId) {
+        button.disabled = true;
+        button.textContent = BUTTON_TEXT.FAVORITING;
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: ACTIONS.ADD_FAVORITE,
+                worldId: worldId
+            });
+
+            if (response && response.success) {
+                markFavorited(button);
+                if (response.groupName && !response.alreadyFavorited) {
+                    button.title = I18n.t('titleFavoriteAdded', response.groupName);
+                }
+                return;
+            }
+
+            if (response && response.needsAuth) {
+                requestRelogin(button, () => addToFavorites(button, worldId));
+            } else {
+                // 失敗理由はツールチップで確認できるようにする
+                button.textContent = BUTTON_TEXT.FAVORITE_FAILED;
+                button.title = response?.error || BUTTON_TEXT.FAVORITE_FAILED;
+            }
+        } catch (error) {
+            console.warn('お気に入り追加失敗:', error);
+            button.textContent = BUTTON_TEXT.FAVORITE_FAILED;
+        }
+
+        setTimeout(() => {
+            button.disabled = false;
+            button.textContent = BUTTON_TEXT.FAVORITE;
+        }, BUTTON_RESET_DELAY_MS);
+    }
+
+    /**
+     * ボタン操作の対象ワールドを特定してから処理を実行する
+     * 「ワールドを開く」と同じ方法で解決し、候補の選択が必要な場合は選択後に実行する
+     * @param {HTMLButtonElement} button - 操作されたボタン
+     * @param {{worldName: string|null, authorName: string|null, worldId: string|null}} entry - ワールド
+     * @param {string} defaultText - 解決に失敗した場合に戻すボタンテキスト
+     * @param {(worldId: string) => Promise<void>} action - 解決したワールドIDで実行する処理
+     */
+    async function runWithResolvedWorld(button, entry, defaultText, action) {
+        const { worldName, authorName, worldId } = entry;
+
+        if (worldId) {
+            await action(worldId);
+            return;
+        }
+
+        button.disabled = true;
+        button.textContent = BUTTON_TEXT.LOADING;
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: ACTIONS.SEARCH_WORLD,
+                worldName: worldName,
+                authorName: authorName,
+                withCandidates: pickCandidates
+            });
+
+            if (response && response.success && response.worldId) {
+                showResolvedPlatforms(button, response.platforms);
+                await action(response.worldId);
+                return;
+            }
+
+            if (response && response.success && response.needsChoice &&
+                Array.isArray(response.candidates) && response.candidates.length > 0) {
+                showCandidatePicker(button, worldName, response.candidates, async (selected) => {
+                    await rememberCandidate(worldName, selected);
+                    await action(selected.worldId);
+                });
+                button.textContent = BUTTON_TEXT.CHOOSE;
+            } else if (response && response.needsAuth) {
+                requestRelogin(button, () => runWithResolvedWorld(button, entry, defaultText, action));
+            } else if (response && response.rateLimited) {
+                button.textContent = BUTTON_TEXT.RATE_LIMITED_FAILED;
+            } else {
+                button.textContent = BUTTON_TEXT.NOT_FOUND;
+            }
+        } catch (error) {
+            console.warn('ワールド検索失敗:', error);
+            button.textContent = BUTTON_TEXT.NOT_FOUND;
+        }
+
+        setTimeout(() => {
+            button.disabled = false;
+            button.textContent = defaultText;
+        }, BUTTON_RESET_DELAY_MS);
+    }
+
+    /**
+     * インスタンスを作成して自分にInviteを送り、結果をボタンに表示する
+     * @param {HTMLButtonElement} button - 「自分にInvite」ボタン
+     * @param {string} worldId - ワールドID
+     */
+    async function sendSelfInvite(button, worldId) {
+        button.disabled = true;
+        button.textContent = BUTTON_TEXT.INVITING;
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: ACTIONS.SELF_INVITE,
+                worldId: worldId
+            });
+
+            if (response && response.success) {
+                button.textContent = BUTTON_TEXT.INVITED;
+            } else if (response && response.needsAuth) {
+                requestRelogin(button, () => sendSelfInvite(button, worldId));
+            } else {
+                // 失敗理由はツールチップで確認できるようにする
+                button.textContent = BUTTON_TEXT.INVITE_FAILED;
+                button.title = response?.error || BUTTON_TEXT.INVITE_FAILED;
+            }
+        } catch (error) {
+            console.warn('Invite失敗:', error);
+            button.textContent = BUTTON_TEXT.INVITE_FAILED;
+        }
+
+        setTimeout(() => {
+            button.disabled = false;
+            button.textContent = BUTTON_TEXT.INVITE;
+            button.title = button.dataset.defaultTitle;
+        }, BUTTON_RESET_DELAY_MS);
+    }
+
+    /**
+     * ログインが必要になった処理を保留し、再ログインの画面を開いてもらう
+     * ログインが済むとService Workerから通知され、保留した処理を再開する
+     * @param {HTMLButtonElement} button - 操作されたボタン
+     * @param {() => Promise<void>} resume - ログイン後に再開する処理
+     */
+    async function requestRelogin(button, resume) {
+        const lookupId = String(++lastLookupId);
+        pendingLookups.set(lookupId, resume);
+        button.textContent = BUTTON_TEXT.AUTH_REQUIRED;
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: ACTIONS.REQUEST_RELOGIN, lookupId });
+            if (!response || !response.success) {
+                throw new Error(response?.error || '再ログイン画面を開けませんでした');
+            }
+        } catch (error) {
+            console.warn('再ログインの要求失敗:', error);
+            pendingLookups.delete(lookupId);
+        }
+    }
+
+    /**
+     * ページを新しいタブで開く
+     * クリック直後であればページから開き、クリック操作を伴わない場合やクリックから時間が経った場合
+     * （APIの順番待ち・リトライなど）はポップアップブロックされるため、Service Workerにタブを開いてもらう
+     * @param {string} url - 開くURL
+     * @param {object} message - Service Workerに開いてもらう場合のメッセージ
+     * @param {boolean} withoutClick - クリック操作を伴わない
+     * @returns {Promise<boolean>} 開けた場合はtrue
+     */
+    async function openPage(url, message, withoutClick) {
+        if (!withoutClick && navigator.userActivation?.isActive !== false) {
+            // 'noopener' を付けると開けたかどうか分からないため、開いた後で opener を切る
+            const opened = window.open(url, '_blank');
+            if (opened) {
+                opened.opener = null;
+                return true;
+            }
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage(message);
+            return Boolean(response && response.success);
+        } catch (error) {
+            console.warn('ページを開けませんでした:', error);
+            return false;
+        }
+    }
+
+    /**
+     * VRChatワールドページを開く
+     * @param {string} worldId - ワールドID
+     * @param {boolean} [withoutClick] - クリック操作を伴わない（再ログイン後の再開・キーボードショートカット）
+     * @returns {Promise<boolean>} 開けた場合はtrue
+     */
+    function openWorldPage(worldId, withoutClick = false) {
+        return openPage(`${VRCHAT_WEB_BASE}/world/${worldId}`, { action: ACTIONS.OPEN_WORLD_PAGE, worldId }, withoutClick);
+    }
+
     /**
      * VRChat検索ページを開く
      * @param {string} worldName - 検索するワールド名
+     * @param {boolean} [withoutClick] - クリック操作を伴わない（キーボードショートカット）
+     * @returns {Promise<boolean>} 開けた場合はtrue
      */
-    function openSearchPage(worldName) {
-        window.open(
+    function openSearchPage(worldName, withoutClick = false) {
+        return openPage(
             `${VRCHAT_WEB_BASE}/search/worlds/${safeEncodeURIComponent(worldName)}`,
-            '_blank',
-            'noopener'
+            { action: ACTIONS.OPEN_SEARCH_PAGE, worldName },
+            withoutClick
         );
     }
 
+    /**
+     * 開いた・検索したワールドを履歴に記録する（失敗しても操作は妨げない）
+     * @param {string} type - 操作の種類（open / search / invite / favorite）
+     * @param {{worldId: string|null, worldName: string|null, authorName: string|null}} world - ワールド
+     * @param {{tweetUrl: string|null, tweetAuthor: string|null}|null} source - 元ポストの情報
+     */
+    function recordHistory(type, world, source) {
+        chrome.runtime.sendMessage({
+            action: ACTIONS.ADD_HISTORY,
+            entry: {
+                type,
+                worldId: world.worldId,
+                worldName: world.worldName,
+                authorName: world.authorName,
+                tweetUrl: source?.tweetUrl ?? null,
+                tweetAuthor: source?.tweetAuthor ?? null
+            }
+        }).catch((error) => {
+            console.warn('履歴の記録に失敗:', error);
+        });
+    }
+
+    // ============================================================================
+    // プレビューカード
+    // ============================================================================
+
+    /**
+     * ボタンにホバー/フォーカスでワールド詳細を表示するカードを付ける
+     * @param {HTMLButtonElement} button - 対象ボタン
+     * @param {string} worldName - ワールド名
+     * @param {string|null} authorName - 作者名
+     */
+    function attachPreviewCard(button, worldName, authorName) {
+        const schedule = () => {
+            clearTimeout(previewTimerId);
+            previewTimerId = setTimeout(() => showPreviewCard(button, worldName, authorName), PREVIEW_DELAY_MS);
+        };
+        const cancel = () => {
+            clearTimeout(previewTimerId);
+            hidePreviewCard();
+        };
+
+        button.addEventListener('mouseenter', schedule);
+        button.addEventListener('focus', schedule);
+        button.addEventListener('mouseleave', cancel);
+        button.addEventListener('blur', cancel);
+        button.addEventListener('click', cancel);
+    }
+
+    /**
+     * プレビューカード要素を取得する（なければ作成）
+     * @returns {HTMLDivElement} プレビューカード
+     */
+    function getPreviewCard() {
+        if (!previewCard || !previewCard.isConnected) {
+            previewCard = document.createElement('div');
+            previewCard.className = 'vrchat-world-preview-card';
+            previewCard.id = 'vrchat-world-preview-card';
+            previewCard.setAttribute('role', 'tooltip');
+            document.body.appendChild(previewCard);
+        }
+        return previewCard;
+    }
+
+    /**
+     * プレビューカードを非表示にする
+     */
+    function hidePreviewCard() {
+        previewToken++;
+        if (previewCard) {
+            previewCard.classList.remove('visible');
+        }
+        document.querySelectorAll('[aria-describedby="vrchat-world-preview-card"]')
+            .forEach(el => el.removeAttribute('aria-describedby'));
+    }
+
+    /**
+     * プレビューカードをボタンの近くに配置する
+     * @param {HTMLDivElement} card - プレビューカード
+     * @param {HTMLButtonElement} button - 基準となるボタン
+     */
+    function positionPreviewCard(card, button) {
+        const rect = button.getBoundingClientRect();
+        const cardRect = card.getBoundingClientRect();
+        const margin = 8;
+
+        // 下に収まらない場合はボタンの上に表示
+        let top = rect.bottom + margin;
+        if (top + cardRect.height > window.innerHeight && rect.top - margin - cardRect.height > 0) {
+            top = rect.top - margin - cardRect.height;
+        }
+        const left = Math.min(Math.max(margin, rect.left), window.innerWidth - cardRect.width - margin);
+
+        card.style.top = `${top}px`;
+        card.style.left = `${left}px`;
+    }
+
+    /**
+     * プレビューカードにメッセージのみを表示する
+     * @param {HTMLDivElement} card - プレビューカード
+     * @param {string} message - 表示するメッセージ
+     */
+    function renderPreviewMessage(card, message) {
+        const text = document.createElement('p');
+        text.className = 'vrchat-world-preview-message';
+        text.textContent = message;
+        card.replaceChildren(text);
+    }
+
+    /**
+     * プレビューカードにワールド詳細を表示する
+     * @param {HTMLDivElement} card - プレビューカード
+     * @param {object} world - ワールド詳細
+     */
+    function renderPreviewDetails(card, world) {
+        const fragment = document.createDocumentFragment();
+
+        if (world.thumbnailImageUrl) {
+            const thumbnail = document.createElement('img');
+            thumbnail.className = 'vrchat-world-preview-thumbnail';
+            thumbnail.src = world.thumbnailImageUrl;
+            thumbnail.alt = '';
+            thumbnail.referrerPolicy = 'no-referrer';
+            thumbnail.addEventListener('error', () => thumbnail.remove());
+            fragment.appendChild(thumbnail);
+        }
+
+        const name = document.createElement('p');
+        name.className = 'vrchat-world-preview-name';
+        name.textContent = world.worldName;
+        fragment.appendChild(name);
+
+        if (world.authorName) {
+            const author = document.createElement('p');
+            author.className = 'vrchat-world-preview-author';
+            author.textContent = I18n.t('worldAuthor', world.authorName);
+            fragment.appendChild(author);
+        }
+
+        const stats = document.createElement('p');
+        stats.className = 'vrchat-world-preview-stats';
+        const language = I18n.getLanguage();
+        const capacity = world.recommendedCapacity
+            ? I18n.t('previewCapacityRecommended', [world.capacity, world.recommendedCapacity])
+            : `👥 ${world.capacity}`;
+        stats.textContent = [
+            capacity,
+            `⭐ ${world.favorites.toLocaleString(language)}`,
+            `👁 ${world.visits.toLocaleString(language)}`
+        ].join(I18n.t('listSeparator'));
+        fragment.appendChild(stats);
+
+        const meta = document.createElement('p');
+        meta.className = 'vrchat-world-preview-stats';
+        const metaParts = [];
+        if (world.platforms.length > 0) {
+            metaParts.push(`🖥 ${formatPlatforms(world.platforms)}`);
+        }
+        if (world.updatedAt) {
+            metaParts.push(I18n.t('previewUpdated', new Date(world.updatedAt).toLocaleDateString(language)));
+        }
+        meta.textContent = metaParts.join(I18n.t('listSeparator'));
+        fragment.appendChild(meta);
+
+        if (world.tags.length > 0) {
+            const tags = document.createElement('div');
+            tags.className = 'vrchat-world-preview-tags';
+            for (const tag of world.tags.slice(0, PREVIEW_MAX_TAGS)) {
+                const chip = document.createElement('span');
+                chip.className = 'vrchat-world-preview-tag';
+                chip.textContent = tag;
+                tags.appendChild(chip);
+            }
+            fragment.appendChild(tags);
+        }
+
+        card.replaceChildren(fragment);
+    }
+
+    /**
+     * ワールド詳細を取得する（ページ内でキャッシュ）
+     * @param {string} worldId - ワールドID
+     * @returns {Promise<object>} getWorldDetails のレスポンス
+     */
+    function fetchWorldDetails(worldId) {
+        if (!worldDetailsCache.has(worldId)) {
+            const request = chrome.runtime.sendMessage({ action: ACTIONS.GET_WORLD_DETAILS, worldId })
+                .then((response) => {
+                    // 失敗した結果はキャッシュせず次回再取得する
+                    if (!response || !response.success) {
+                        worldDetailsCache.delete(worldId);
+                    }
+                    return response;
+                });
+            worldDetailsCache.set(worldId, request);
+        }
+        return worldDetailsCache.get(worldId);
+    }
+
+    /**
+     * プレビューカードを表示する
+     * リンク由来のワールドIDがあれば検索せずに詳細を取得し、なければワールド名で解決してから取得する
+     * @param {HTMLButtonElement} button - 対象ボタン
+     * @param {string} worldName - ワールド名
+     * @param {string|null} authorName - 作者名
+     */
+    async function showPreviewCard(button, worldName, authorName) {
+        if (!button.isConnected) {
+            return;
+        }
+
+        const token = ++previewToken;
+        const card = getPreviewCard();
+        renderPreviewMessage(card, BUTTON_TEXT.LOADING);
+        card.classList.add('visible');
+        positionPreviewCard(card, button);
+        button.setAttribute('aria-describedby', card.id);
+
+        try {
+            let worldId = button.dataset.worldId || button.dataset.resolvedWorldId;
+
+            if (!worldId) {
+                const searchResponse = await chrome.runtime.sendMessage({
+                    action: ACTIONS.SEARCH_WORLD,
+                    worldName: worldName,
+                    authorName: authorName,
+                    withCandidates: pickCandidates
+                });
+                if (token !== previewToken) return;
+
+                if (searchResponse && searchResponse.success && searchResponse.worldId) {
+                    worldId = searchResponse.worldId;
+                    button.dataset.resolvedWorldId = worldId;
+                    showResolvedPlatforms(button, searchResponse.platforms);
+                } else if (searchResponse && searchResponse.needsChoice) {
+                    renderPreviewMessage(card, I18n.t('previewChoose'));
+                    positionPreviewCard(card, button);
+                    return;
+                } else if (searchResponse && searchResponse.needsAuth) {
+                    renderPreviewMessage(card, I18n.t('previewLoginRequired'));
+                    positionPreviewCard(card, button);
+                    return;
+                } else {
+                    renderPreviewMessage(card, BUTTON_TEXT.NOT_FOUND);
+                    positionPreviewCard(card, button);
+                    return;
+                }
+            }
+
+            const response = await fetchWorldDetails(worldId);
+            if (token !== previewToken) return;
+
+            if (response && response.success && response.world) {
+                renderPreviewDetails(card, response.world);
+                showResolvedPlatforms(button, response.world.platforms);
+            } else if (response && response.needsAuth) {
+                renderPreviewMessage(card, I18n.t('previewLoginRequired'));
+            } else {
+                renderPreviewMessage(card, BUTTON_TEXT.NOT_FOUND);
+            }
+            positionPreviewCard(card, button);
+        } catch (error) {
+            console.warn('ワールド詳細の取得失敗:', error);
+            if (token === previewToken) {
+                renderPreviewMessage(card, BUTTON_TEXT.NOT_FOUND);
+            }
+        }
+    }
+
+    // ============================================================================
+    // 対応プラットフォーム
+    // ============================================================================
+
+    /**
+     * プラットフォームを表示名にする
+     * @param {string[]} platforms - プラットフォーム
+     * @returns {string} 「PC / Android」形式の文字列
+     */
+    function formatPlatforms(platforms) {
+        return platforms.map(platform => PLATFORM_LABELS[platform] || platform).join(' / ');
+    }
+
+    /**
+     * ボタングループに対応プラットフォームのバッジを表示する
+     * 自分のプラットフォームに対応していない場合は、設定に応じて警告を出すかボタンを暗くする
+     * @param {HTMLElement|null} container - ボタングループ
+     * @param {string[]|undefined} platforms - 対応プラットフォーム（不明な場合は何もしない）
+     */
+    function showPlatformBadges(container, platforms) {
+        if (!container || !Array.isArray(platforms) || platforms.length === 0) {
+            return;
+        }
+
+        let badges = container.querySelector(':scope > .vrchat-world-platforms');
+        if (!badges) {
+            badges = document.createElement('span');
+            badges.className = 'vrchat-world-platforms';
+            container.appendChild(badges);
+        }
+
+        const items = platforms.map((platform) => {
+            const badge = document.createElement('span');
+            badge.className = 'vrchat-world-platform-badge';
+            badge.textContent = PLATFORM_LABELS[platform] || platform;
+            return badge;
+        });
+
+        const isUnavailable = Boolean(myPlatform) && !platforms.includes(myPlatform);
+        const myPlatformLabel = PLATFORM_LABELS[myPlatform] || myPlatform;
+        if (isUnavailable && platformMismatchMode === PLATFORM_MISMATCH_MODES.WARN) {
+            const warning = document.createElement('span');
+            warning.className = 'vrchat-world-platform-badge unavailable';
+            warning.textContent = I18n.t('platformUnavailableBadge', myPlatformLabel);
+            items.push(warning);
+        }
+
+        badges.replaceChildren(...items);
+        badges.title = isUnavailable
+            ? I18n.t('titlePlatformsUnavailable', [formatPlatforms(platforms), myPlatformLabel])
+            : I18n.t('titlePlatforms', formatPlatforms(platforms));
+        container.classList.toggle('vrchat-world-platform-dimmed',
+            isUnavailable && platformMismatchMode === PLATFORM_MISMATCH_MODES.DIM);
+    }
+
+    /**
+     * ボタンが属するグループに、解決したワールドの対応プラットフォームを表示する
+     * @param {HTMLElement} button - ワールドを解決したボタン
+     * @param {string[]|undefined} platforms - 対応プラットフォーム
+     */
+    function showResolvedPlatforms(button, platforms) {
+        showPlatformBadges(button.closest('.vrchat-world-link-container'), platforms);
+    }
+
+    /**
+     * 以前に解決したワールドであれば、ボタンの表示時点で対応プラットフォームを表示する（APIは呼ばない）
+     * @param {HTMLDivElement} container - ボタングループ
+     * @param {{worldName: string|null, authorName: string|null}} entry - ワールド
+     */
+    async function showCachedPlatforms(container, entry) {
+        if (!entry.worldName) {
+            return;
+        }
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: ACTIONS.GET_RESOLVED_WORLD,
+                worldName: entry.worldName,
+                authorName: entry.authorName
+            });
+            if (response && response.success && response.world) {
+                showPlatformBadges(container, response.world.platforms);
+            }
+        } catch (error) {
+            console.warn('解決済みワールドの取得失敗:', error);
+        }
+    }
+
+    /**
+     * リンクから検出したワールドの対応プラットフォームを、ボタンの表示時点で表示する（APIは呼ばない）
+     * このページで詳細を取得済みであればそれを使い、なければ以前に解決したワールドのキャッシュから探す
+     * どちらにもない場合はプレビューで詳細を取得した時点で表示する
+     * @param {HTMLDivElement} container - ボタングループ
+     * @param {string} worldId - ワールドID
+     */
+    async function showLinkedPlatforms(container, worldId) {
+        try {
+            const response = worldDetailsCache.has(worldId)
+                ? await worldDetailsCache.get(worldId)
+                : await chrome.runtime.sendMessage({ action: ACTIONS.GET_RESOLVED_WORLD, worldId });
+            if (response && response.success && response.world) {
+                showPlatformBadges(container, response.world.platforms);
+            }
+        } catch (error) {
+            console.warn('解決済みワールドの取得失敗:', error);
+        }
+    }
+
     // ============================================================================
     // ツイート処理
     // ============================================================================
@@ -325,52 +1319,32 @@
         tweetElement.setAttribute(PROCESSED_ATTR, 'true');
 
         // ポストのテキストを取得
-        const tweetTextElement = tweetElement.querySelector(SELECTORS.TWEET_TEXT);
+        const tweetTextElement = Site.getTextElement(tweetElement);
         if (!tweetTextElement) {
+            // 対象ハッシュタグがあるのに本文が見つからない場合はDOM変更の疑い
+            if (hasTargetHashtagLink(tweetElement)) {
+                scanStats.missing.add('TEXT');
+            }
             return;
         }
 
         // img要素のalt属性（絵文字）も含めてテキストを取得
-        const tweetText = getTextWithEmoji(tweetTextElement);
+        const tweetText = Detection.getTextWithEmoji(tweetTextElement);
         if (!tweetText) {
             return;
         }
 
-        // #VRChat_World紹介 タグがあるかチェック（大文字小文字を無視）
-        if (!tweetText.toLowerCase().includes(TARGET_HASHTAG)) {
+        // 対象ハッシュタグがあるかチェック（全角/半角・大文字小文字・アンダースコアの違いを無視）
+        if (!matchAnyPost && !Detection.hasTargetHashtag(tweetText, targetHashtags)) {
             return;
         }
 
-        // 1. ワールド名の抽出
-        const worldName = extractWorldName(tweetText);
-
-        // 2. ポスト内のリンクからワールドURLを探す
-        const links = tweetElement.querySelectorAll('a');
-        let foundWorldId = null;
-
-        for (const link of links) {
-            // href属性を確認
-            const hrefId = extractWorldIdFromUrl(link.href);
-            if (hrefId) {
-                foundWorldId = hrefId;
-                break;
-            }
-            // 表示テキストも確認
-            const textId = extractWorldIdFromUrl(link.textContent);
-            if (textId) {
-                foundWorldId = textId;
-                break;
-            }
-            // title属性も確認
-            const titleId = extractWorldIdFromUrl(link.title);
-            if (titleId) {
-                foundWorldId = titleId;
-                break;
-            }
-        }
+        // 1. ワールド名・作者名の抽出と、ポスト内のリンクからワールドURLを探す
+        const worlds = Detection.extractWorlds(tweetText, customPatterns);
+        const worldIds = extractWorldIdsFromLinks(tweetElement);
 
         // どちらも得られなければスキップ
-        if (!worldName && !foundWorldId) {
+        if (worlds.length === 0 && worldIds.length === 0) {
             return;
         }
 
@@ -379,46 +1353,122 @@
             return;
         }
 
+        // 2. ワールドごとにボタングループを作成
+        const entries = buildWorldEntries(worlds, worldIds);
+        const source = Site.getPostSource(tweetElement);
+        const groups = document.createElement('div');
+        groups.className = 'vrchat-world-link-groups';
+
+        for (const entry of entries) {
+            // 複数ワールドの場合はどのワールドのボタンか分かるようにラベルを付ける
+            const container = createButtonGroup(entry, entries.length > 1, source);
+            if (container) {
+                groups.appendChild(container);
+            }
+        }
+
+        // ボタンがあれば挿入（挿入位置はサイトごとに異なる）
+        if (groups.hasChildNodes()) {
+            if (Site.insertButtons(tweetElement, groups)) {
+                scanStats.inserted++;
+            } else {
+                scanStats.missing.add('ACTION_BAR');
+            }
+        }
+    }
+
+    /**
+     * 1ワールド分の「ワールドを開く」ボタンを作成する
+     * @param {{worldName: string|null, authorName: string|null, worldId: string|null}} entry - ワールド
+     * @param {{tweetUrl: string|null, tweetAuthor: string|null}} source - 元ポストの情報
+     * @returns {HTMLButtonElement} 作成されたボタン要素
+     */
+    function createOpenButton(entry, source) {
+        const openBtn = createLinkButton(entry.worldName, entry.authorName, source);
+        if (entry.worldId) {
+            openBtn.dataset.worldId = entry.worldId;
+            openBtn.title = I18n.t('titleOpenLinkedWorld');
+        }
+        return openBtn;
+    }
+
+    /**
+     * 1ワールド分のボタングループを作成する
+     * @param {{worldName: string|null, authorName: string|null, worldId: string|null}} entry - ワールド
+     * @param {boolean} withLabel - ワールド名のラベルを表示するかどうか
+     * @param {{tweetUrl: string|null, tweetAuthor: string|null}} source - 元ポストの情報
+     * @returns {HTMLDivElement|null} ボタングループ、表示するボタンがない場合はnull
+     */
+    function createButtonGroup(entry, withLabel, source) {
+        const { worldName, authorName, worldId } = entry;
+
         const container = document.createElement('div');
         container.className = 'vrchat-world-link-container';
 
         // A. 「ワールドを開く」ボタン
         if (showOpenBtn) {
-            let openBtn = null;
-            if (foundWorldId) {
-                openBtn = createLinkButton('このワールド');
-                openBtn.dataset.worldId = foundWorldId;
-                openBtn.title = 'ポスト内のリンクから検出されたワールドを開く';
-            } else if (worldName) {
-                openBtn = createLinkButton(worldName);
-            }
-
-            if (openBtn) {
-                container.appendChild(openBtn);
-            }
+            container.appendChild(createOpenButton(entry, source));
         }
 
         // B. 「ワールド名で検索」ボタン
         if (showSearchBtn && worldName) {
-            const searchBtn = createSearchButton(worldName);
+            const searchBtn = createSearchButton(worldName, authorName, source);
             container.appendChild(searchBtn);
         }
 
-        // コンテナにボタンがあれば挿入
-        if (container.hasChildNodes()) {
-            const actionBar = tweetElement.querySelector(SELECTORS.ACTION_BAR);
-            if (actionBar && actionBar.parentNode) {
-                actionBar.parentNode.insertBefore(container, actionBar);
-            }
+        // C. 「自分にInvite」ボタン
+        if (showInviteBtn) {
+            container.appendChild(createInviteButton(worldName, authorName, worldId, source));
         }
+
+        // D. 「お気に入り」ボタン
+        if (showFavoriteBtn) {
+            container.appendChild(createFavoriteButton(worldName, authorName, worldId, source));
+        }
+
+        if (!container.hasChildNodes()) {
+            return null;
+        }
+
+        buttonGroupWorlds.set(container, { entry, source });
+
+        // 以前に解決・取得したワールドであれば、ボタンの表示時点で対応プラットフォームを表示する
+        if (worldId) {
+            showLinkedPlatforms(container, worldId);
+        } else {
+            showCachedPlatforms(container, entry);
+        }
+
+        if (withLabel) {
+            const label = document.createElement('span');
+            label.className = 'vrchat-world-link-label';
+            label.textContent = worldName ? `🌐 ${worldName}` : I18n.t('labelLinkedWorld');
+            label.title = worldName || worldId;
+            container.prepend(label);
+        }
+
+        return container;
     }
 
     /**
      * ページ内の全ポストを処理する
      */
     function processAllTweets() {
-        const tweets = document.querySelectorAll(SELECTORS.TWEET);
+        const tweets = Site.findPosts(document);
         tweets.forEach(processTweet);
+        checkSelectorHealth(tweets);
+    }
+
+    /**
+     * 既存のボタンを削除して全ポストを再処理する
+     */
+    function rescanAllTweets() {
+        document.querySelectorAll('.vrchat-world-link-groups').forEach(el => el.remove());
+        document.querySelectorAll(`[${PROCESSED_ATTR}]`).forEach(el => el.removeAttribute(PROCESSED_ATTR));
+
+        if (isExtensionEnabled) {
+            processAllTweets();
+        }
     }
 
     /**
@@ -426,7 +1476,7 @@
      */
     async function processAllTweetsIfEnabled() {
         try {
-            const result = await chrome.storage.local.get([STORAGE_KEYS.EXTENSION_ENABLED]);
+            const result = await Settings.get([STORAGE_KEYS.EXTENSION_ENABLED]);
             isExtensionEnabled = result[STORAGE_KEYS.EXTENSION_ENABLED] !== false;
 
             if (isExtensionEnabled) {
@@ -438,6 +1488,76 @@
         }
     }
 
+    // ============================================================================
+    // セレクタのヘルスチェック
+    // ============================================================================
+
+    /**
+     * 要素内に対象ハッシュタグのリンクがあるかを判定する
+     * @param {ParentNode} root - 対象要素
+     * @returns {boolean} ある場合はtrue
+     */
+    function hasTargetHashtagLink(root) {
+        return Array.from(root.querySelectorAll(Site.hashtagLinkSelector))
+            .some(link => Detection.hasTargetHashtag(link.textContent, targetHashtags));
+    }
+
+    /**
+     * どのポストにも含まれない対象ハッシュタグのリンクを数える
+     * @param {Element[]} posts - 見つかったポスト
+     * @returns {number} 件数
+     */
+    function countOrphanHashtagLinks(posts) {
+        const main = document.querySelector('main') || document.body;
+        return Array.from(main.querySelectorAll(Site.hashtagLinkSelector)).filter(link =>
+            Detection.hasTargetHashtag(link.textContent, targetHashtags) &&
+            !posts.some(post => post.contains(link))
+        ).length;
+    }
+
+    /**
+     * 直近のスキャン結果からセレクタが機能しているかを判定し、変化があればService Workerに報告する
+     * 対象ハッシュタグのポストが見えているのにボタンを挿入できない場合は、サイトのDOM変更とみなす
+     * @param {Element[]} posts - 見つかったポスト
+     */
+    function checkSelectorHealth(posts) {
+        const missing = new Set(scanStats.missing);
+        if (countOrphanHashtagLinks(posts) >= ORPHAN_HASHTAG_THRESHOLD) {
+            missing.add('POST');
+        }
+        const fallbacks = Sites.drainFallbackUsage();
+        const inserted = scanStats.inserted;
+        scanStats.inserted = 0;
+        scanStats.missing.clear();
+
+        let status;
+        if (missing.size > 0) {
+            status = HEALTH_STATUS.BROKEN;
+        } else if (inserted > 0) {
+            status = fallbacks.length > 0 ? HEALTH_STATUS.FALLBACK : HEALTH_STATUS.OK;
+        } else {
+            // 対象のポストがなければ判定材料がないため報告しない
+            return;
+        }
+
+        const report = {
+            siteId: Site.id,
+            siteName: Site.name,
+            status,
+            missing: [...missing],
+            fallbacks
+        };
+        const reportKey = JSON.stringify(report);
+        if (reportKey === lastHealthReport) {
+            return;
+        }
+        lastHealthReport = reportKey;
+
+        chrome.runtime.sendMessage({ action: ACTIONS.REPORT_SELECTOR_HEALTH, report }).catch((error) => {
+            console.warn('ヘルスチェック結果の報告に失敗:', error);
+        });
+    }
+
     // ============================================================================
     // DOM監視
     // ============================================================================
@@ -476,49 +1596,170 @@
     // ============================================================================
 
     /**
-     * ポップアップからのメッセージを処理する
+     * キーボードショートカットの対象にするポストのボタングループを探す
+     * Xのj/kで選択中のポスト（フォーカスがある）を優先し、なければ画面の中央に最も近いポストを使う
+     * @returns {HTMLDivElement|null} ボタングループ（複数ワールドの場合は最初のワールド）
+     */
+    function findShortcutTarget() {
+        const posts = Site.findPosts(document)
+            .filter(post => post.querySelector('.vrchat-world-link-container'));
+        if (posts.length === 0) {
+            return null;
+        }
+
+        const focused = posts.find(post => post.contains(document.activeElement));
+        if (focused) {
+            return focused.querySelector('.vrchat-world-link-container');
+        }
+
+        const viewportCenter = window.innerHeight / 2;
+        let nearest = null;
+        let nearestDistance = Infinity;
+        for (const post of posts) {
+            const rect = post.getBoundingClientRect();
+            // 中央を含むポストは距離0として扱う
+            const distance = Math.max(0, rect.top - viewportCenter, viewportCenter - rect.bottom);
+            if (distance < nearestDistance) {
+                nearest = post;
+                nearestDistance = distance;
+            }
+        }
+        return nearest.querySelector('.vrchat-world-link-container');
+    }
+
+    /**
+     * キーボードショートカットを実行する
+     * ボタンと同じ処理を使い、「ワールドを開く」ボタンを非表示にしている場合も表示しないボタンで処理する
+     * @param {string} command - コマンド名（SHORTCUT_COMMANDS）
+     */
+    function runShortcut(command) {
+        if (!isExtensionEnabled) {
+            return;
+        }
+
+        const container = findShortcutTarget();
+        const world = container && buttonGroupWorlds.get(container);
+        if (!world) {
+            return;
+        }
+
+        const { entry, source } = world;
+        if (command === SHORTCUT_COMMANDS.OPEN_WORLD) {
+            const openBtn = Array.from(container.children).find(child => linkButtonActions.has(child)) ||
+                createOpenButton(entry, source);
+            linkButtonActions.get(openBtn)();
+        } else if (command === SHORTCUT_COMMANDS.SEARCH_WORLD && entry.worldName) {
+            openSearchPage(entry.worldName, true);
+            recordHistory('search', { worldId: null, worldName: entry.worldName, authorName: entry.authorName }, source);
+        }
+    }
+
+    /**
+     * 処理中のボタンを再試行待ちの表示に切り替える
+     * 結果が返るとそれぞれの処理で通常の表示に戻る
+     */
+    function showRateLimited() {
+        document.querySelectorAll('.vrchat-world-link-btn:disabled').forEach(button => {
+            if (BUSY_BUTTON_TEXT_NAMES.some(name => BUTTON_TEXT[name] === button.textContent)) {
+                button.textContent = BUTTON_TEXT.RATE_LIMITED;
+            }
+        });
+    }
+
+    /**
+     * Service Workerからのメッセージを処理する
      */
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-        if (request && request.action === ACTIONS.UPDATE_SETTINGS) {
-            // 設定更新
-            const settings = request.settings;
-            if (settings) {
-                isExtensionEnabled = settings[STORAGE_KEYS.EXTENSION_ENABLED] !== false;
-                showOpenBtn = settings[STORAGE_KEYS.SHOW_OPEN_BTN] !== false;
-                showSearchBtn = settings[STORAGE_KEYS.SHOW_SEARCH_BTN] !== false;
-
-                // 既存のボタンを削除して再生成
-                document.querySelectorAll('.vrchat-world-link-container').forEach(el => el.remove());
-                document.querySelectorAll(`[${PROCESSED_ATTR}]`).forEach(el => el.removeAttribute(PROCESSED_ATTR));
-
-                if (isExtensionEnabled) {
-                    processAllTweets();
-                }
+        if (request && request.action === ACTIONS.API_RATE_LIMITED) {
+            // VRChat APIのレート制限でリトライ待ちになった
+            showRateLimited();
+        } else if (request && request.action === ACTIONS.RUN_SHORTCUT) {
+            // キーボードショートカット
+            runShortcut(request.command);
+        } else if (request && request.action === ACTIONS.RESUME_LOOKUP) {
+            // 再ログインが済んだので、ログイン待ちだった処理を再開
+            const resume = pendingLookups.get(request.lookupId);
+            if (resume) {
+                pendingLookups.delete(request.lookupId);
+                resume();
             }
+        } else if (request && request.action === ACTIONS.CANCEL_LOOKUP) {
+            // 再ログイン用のウィンドウが閉じられたので、ログイン待ちだった処理を破棄
+            pendingLookups.delete(request.lookupId);
         }
 
         sendResponse({ success: true });
         return true;
     });
 
+    /**
+     * 設定・表示言語の変更を反映する（ポップアップ・設定ページや別のPCで変更されるとストレージ経由で通知される）
+     * 設定の移行では local から削除した通知も届くため、変更後の値は通知からではなくストレージから読み込み直す
+     */
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (Settings.hasChanges(changes, areaName, [I18n.STORAGE_KEY])) {
+            loadButtonText().then(rescanAllTweets);
+        }
+        if (Settings.hasChanges(changes, areaName, SETTING_KEYS)) {
+            loadSettings().then(rescanAllTweets).catch((error) => {
+                console.warn('設定の読み込みに失敗:', error);
+            });
+        }
+    });
+
+    /**
+     * 保存された対象ハッシュタグを取得する（未設定の場合は初期値）
+     * @param {*} value - ストレージの値
+     * @returns {string[]} 対象ハッシュタグ
+     */
+    function toTargetHashtags(value) {
+        return Array.isArray(value) ? value : [...Detection.DEFAULT_TARGET_HASHTAGS];
+    }
+
     // ============================================================================
     // 初期化
     // ============================================================================
 
+    /**
+     * 設定した表示言語でボタンテキストを読み込む
+     * @returns {Promise<void>}
+     */
+    async function loadButtonText() {
+        await I18n.init();
+        for (const [name, key] of Object.entries(BUTTON_TEXT_KEYS)) {
+            BUTTON_TEXT[name] = I18n.t(key);
+        }
+    }
+
+    /**
+     * 有効/無効と設定の状態を読み込む
+     * @returns {Promise<void>}
+     */
+    async function loadSettings() {
+        const result = await Settings.get(SETTING_KEYS);
+        isExtensionEnabled = result[STORAGE_KEYS.EXTENSION_ENABLED] !== false;
+        showOpenBtn = result[STORAGE_KEYS.SHOW_OPEN_BTN] !== false;
+        showSearchBtn = result[STORAGE_KEYS.SHOW_SEARCH_BTN] !== false;
+        // 「自分にInvite」「お気に入り」ボタンと候補選択はデフォルト無効
+        showInviteBtn = result[STORAGE_KEYS.SHOW_INVITE_BTN] === true;
+        showFavoriteBtn = result[STORAGE_KEYS.SHOW_FAVORITE_BTN] === true;
+        pickCandidates = result[STORAGE_KEYS.PICK_CANDIDATES] === true;
+        customPatterns = Detection.compileCustomPatterns(result[STORAGE_KEYS.CUSTOM_PATTERNS]);
+        targetHashtags = toTargetHashtags(result[STORAGE_KEYS.TARGET_HASHTAGS]);
+        matchAnyPost = result[STORAGE_KEYS.MATCH_ANY_POST] === true;
+        myPlatform = result[STORAGE_KEYS.MY_PLATFORM] || '';
+        platformMismatchMode = result[STORAGE_KEYS.PLATFORM_MISMATCH_MODE] || PLATFORM_MISMATCH_MODES.WARN;
+    }
+
     /**
      * 拡張機能を初期化する
      */
     async function init() {
+        // ボタンを作る前に表示言語を読み込んでおく
+        await loadButtonText();
+
         try {
-            // 有効/無効と設定の状態を確認
-            const result = await chrome.storage.local.get([
-                STORAGE_KEYS.EXTENSION_ENABLED,
-                STORAGE_KEYS.SHOW_OPEN_BTN,
-                STORAGE_KEYS.SHOW_SEARCH_BTN
-            ]);
-            isExtensionEnabled = result[STORAGE_KEYS.EXTENSION_ENABLED] !== false;
-            showOpenBtn = result[STORAGE_KEYS.SHOW_OPEN_BTN] !== false;
-            showSearchBtn = result[STORAGE_KEYS.SHOW_SEARCH_BTN] !== false;
+            await loadSettings();
 
             if (isExtensionEnabled) {
                 processAllTweets();
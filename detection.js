@@ -0,0 +1,398 @@
+// VRC World Opener - World Detection
+// ポスト本文からワールド名・作者名を検出する（コンテンツスクリプト・ポップアップ・Node.jsのテストで共用）
+
+'use strict';
+
+(function (global) {
+    // ============================================================================
+    // 定数定義
+    // ============================================================================
+
+    /** 表示する文字列（i18n.js。Node.js（テスト）では require で読み込む） */
+    const I18n = global.VRCWorldI18n || require('./i18n.js');
+
+    /** ワールド名検出パターン */
+    const WORLD_PATTERNS = [
+        // World: 形式（コロン前後スペース有無対応）
+        /World\s*[:：]\s*(.+?)(?:\s*$|\s*#|\n|<)/i,
+
+        // 括弧形式（各種括弧対応）
+        /World\s*[『「【\(（](.+?)[』」】\)）]/i,
+
+        // 絵文字形式（地球絵文字バリエーション）- uフラグでサロゲートペア対応
+        /(?:🌐|🌍|🌎|🌏|🗺️)\s*(.+?)(?:\s*$|\s*#|\r?\n|\r|<)/u,
+
+        // 日本語表記（コロン形式）
+        /ワールド(?:名)?\s*[:：]\s*(.+?)(?:\s*$|\s*#|\n|<)/,
+
+        // 日本語表記（スペース区切り形式）- 「ワールド名　◯◯」や「ワールド　◯◯」
+        /ワールド(?:名)?[\s　]+(.+?)(?:\s*$|\s*#|\n|<)/,
+
+        // World name形式
+        /World\s*name\s*[:：]\s*(.+?)(?:\s*$|\s*#|\n|<)/i,
+
+        // 「ワールド名 + 改行 + By 作者名」形式（絵文字がテキストから消える場合の対応）
+        /^(.+?)\n+By\s/im,
+
+        // 「ワールド名 + 改行 + Author 作者名」形式
+        /^(.+?)\n+Author\s*[:：]?\s/im,
+    ];
+
+    /** 作者名検出パターン */
+    const AUTHOR_PATTERNS = [
+        // 「By 作者名」形式（行頭のByのみ対象）
+        /^By\s+(.+?)(?:\s*$|\s*#|\r?\n|\r|<)/im,
+
+        // 「Author: 作者名」形式
+        /^Author\s*[:：]?\s*(.+?)(?:\s*$|\s*#|\r?\n|\r|<)/im,
+
+        // 日本語表記（コロン形式）
+        /作者(?:名)?\s*[:：]\s*(.+?)(?:\s*$|\s*#|\r?\n|\r|<)/,
+    ];
+
+    /** カスタムパターンで指定できるフラグ */
+    const CUSTOM_PATTERN_FLAGS = 'imsu';
+
+    /** 対象ハッシュタグの初期値 */
+    const DEFAULT_TARGET_HASHTAGS = Object.freeze([
+        '#VRChat_World紹介',
+        '#VRChatワールド紹介',
+        '#VRChat_World'
+    ]);
+
+    /** DOMのノード種別（Node.jsのテストではDOMがないため値を直接持つ） */
+    const NODE_TYPES = {
+        ELEMENT: 1,
+        TEXT: 3
+    };
+
+    /** ハッシュタグとして扱う文字（Xの仕様に合わせて文字・数字・結合文字・アンダースコア） */
+    const HASHTAG_PATTERN = /#([\p{L}\p{N}\p{M}_]+)/gu;
+
+    // ============================================================================
+    // ユーティリティ関数
+    // ============================================================================
+
+    /**
+     * パターンにマッチした文字列からワールド名を取り出す
+     * @param {string} rawName - パターンのキャプチャ文字列
+     * @returns {string|null} ワールド名、空になった場合はnull
+     */
+    function cleanWorldName(rawName) {
+        let worldName = rawName.trim();
+
+        // 末尾のハッシュタグや改行を除去
+        worldName = worldName.replace(/\s*#.*$/, '').trim();
+
+        // 末尾の括弧類を除去（重複対策）
+        worldName = worldName.replace(/[』」】\)）]+$/, '').trim();
+
+        // 絵文字と壊れたサロゲートペアを除去
+        worldName = worldName.replace(/[\u{1F300}-\u{1F9FF}]/gu, '').trim();
+        worldName = worldName.replace(/[\uD800-\uDFFF]/g, '').trim();
+
+        return worldName.length > 0 ? worldName : null;
+    }
+
+    /**
+     * パターンにマッチした文字列から作者名を取り出す
+     * @param {string} rawName - パターンのキャプチャ文字列
+     * @returns {string|null} 作者名、空になった場合はnull
+     */
+    function cleanAuthorName(rawName) {
+        let authorName = rawName.trim();
+
+        // 末尾のハッシュタグを除去
+        authorName = authorName.replace(/\s*#.*$/, '').trim();
+
+        // 先頭の@（Xのユーザー名表記）を除去
+        authorName = authorName.replace(/^[@＠]/, '').trim();
+
+        // 敬称を除去（「◯◯さん」「◯◯様」）
+        authorName = authorName.replace(/\s*(?:さん|様)$/, '').trim();
+
+        // 絵文字と壊れたサロゲートペアを除去
+        authorName = authorName.replace(/[\u{1F300}-\u{1F9FF}]/gu, '').trim();
+        authorName = authorName.replace(/[\uD800-\uDFFF]/g, '').trim();
+
+        return authorName.length > 0 ? authorName : null;
+    }
+
+    /**
+     * 作者名を抽出する
+     * @param {string} text - 解析対象テキスト
+     * @returns {string|null} 作者名、見つからない場合はnull
+     */
+    function extractAuthorName(text) {
+        if (!text || typeof text !== 'string') {
+            return null;
+        }
+
+        for (const pattern of AUTHOR_PATTERNS) {
+            const match = text.match(pattern);
+            if (match && match[1]) {
+                const authorName = cleanAuthorName(match[1]);
+                if (authorName) {
+                    return authorName;
+                }
+            }
+        }
+        return null;
+    }
+
+    // ============================================================================
+    // テキスト・リンク
+    // ============================================================================
+
+    /**
+     * 要素からテキストを取得する（img要素のalt属性=絵文字も含める）
+     * @param {Node} element - 対象要素
+     * @returns {string} テキスト内容
+     */
+    function getTextWithEmoji(element) {
+        if (!element) {
+            return '';
+        }
+
+        let result = '';
+
+        /**
+         * ノードを再帰的に走査してテキストを収集
+         * @param {Node} node - 対象ノード
+         */
+        function traverse(node) {
+            if (node.nodeType === NODE_TYPES.TEXT) {
+                result += node.textContent;
+            } else if (node.nodeType === NODE_TYPES.ELEMENT) {
+                // img要素の場合はalt属性を取得（絵文字が入っている）
+                if (node.tagName === 'IMG' && node.alt) {
+                    result += node.alt;
+                }
+                // 子要素を再帰的に処理
+                for (const child of node.childNodes) {
+                    traverse(child);
+                }
+            }
+        }
+
+        traverse(element);
+        return result;
+    }
+
+    /**
+     * URLからワールドIDを抽出する
+     * @param {string} url - 対象URL
+     * @returns {string|null} ワールドID
+     */
+    function extractWorldIdFromUrl(url) {
+        if (!url) return null;
+        // vrchat.com/home/world/wrld_xxxx 形式
+        let match = url.match(/vrchat\.com\/home\/world\/(wrld_[a-f0-9-]{36})/i);
+        if (match) return match[1];
+
+        // vrchat.com/home/launch?worldId=wrld_xxxx 形式
+        match = url.match(/[?&]worldId=(wrld_[a-f0-9-]{36})/i);
+        return match ? match[1] : null;
+    }
+
+    // ============================================================================
+    // ハッシュタグ
+    // ============================================================================
+
+    /**
+     * ハッシュタグを比較用に正規化する
+     * 全角/半角（NFKC）、大文字小文字、アンダースコアの有無の違いを吸収する
+     * @param {string} tag - ハッシュタグ（先頭の#は省略可）
+     * @returns {string} 正規化したハッシュタグ（#なし）
+     */
+    function normalizeHashtag(tag) {
+        if (!tag || typeof tag !== 'string') {
+            return '';
+        }
+        return tag.normalize('NFKC').trim().replace(/^#+/, '').replace(/_/g, '').toLowerCase();
+    }
+
+    /**
+     * テキストに含まれるハッシュタグを抽出する
+     * @param {string} text - 解析対象テキスト
+     * @returns {string[]} 正規化したハッシュタグ一覧
+     */
+    function extractHashtags(text) {
+        if (!text || typeof text !== 'string') {
+            return [];
+        }
+        // 全角の＃や＿もNFKCで半角になる
+        return Array.from(text.normalize('NFKC').matchAll(HASHTAG_PATTERN), match => normalizeHashtag(match[1]))
+            .filter(tag => tag.length > 0);
+    }
+
+    /**
+     * テキストに対象ハッシュタグのいずれかが含まれるかを判定する
+     * @param {string} text - 解析対象テキスト
+     * @param {string[]} targetHashtags - 対象ハッシュタグ一覧
+     * @returns {boolean} 含まれる場合はtrue
+     */
+    function hasTargetHashtag(text, targetHashtags) {
+        if (!Array.isArray(targetHashtags) || targetHashtags.length === 0) {
+            return false;
+        }
+
+        const targets = new Set(targetHashtags.map(normalizeHashtag).filter(tag => tag.length > 0));
+        return extractHashtags(text).some(tag => targets.has(tag));
+    }
+
+    // ============================================================================
+    // カスタムパターン
+    // ============================================================================
+
+    /**
+     * ユーザー定義のパターンをコンパイルする
+     * @param {string} source - 正規表現のソース
+     * @param {string} [flags] - フラグ（g, y は全件検索時に付け替えるため無視）
+     * @returns {{pattern: RegExp|null, error: string|null, errorKey: string|null}} コンパイル結果
+     *   （errorKey はエラーメッセージのキー。表示言語によらずエラーの種類を判別できる）
+     */
+    function compileCustomPattern(source, flags = '') {
+        if (!source || typeof source !== 'string' || source.trim().length === 0) {
+            return { pattern: null, error: I18n.t('errorPatternRequired'), errorKey: 'errorPatternRequired' };
+        }
+
+        const normalizedFlags = [...new Set(String(flags || '').replace(/[gy]/g, ''))].join('');
+        const invalidFlag = [...normalizedFlags].find(flag => !CUSTOM_PATTERN_FLAGS.includes(flag));
+        if (invalidFlag) {
+            return {
+                pattern: null,
+                error: I18n.t('errorInvalidFlag', [invalidFlag, CUSTOM_PATTERN_FLAGS]),
+                errorKey: 'errorInvalidFlag'
+            };
+        }
+
+        try {
+            return { pattern: new RegExp(source, normalizedFlags), error: null, errorKey: null };
+        } catch (error) {
+            return { pattern: null, error: I18n.t('errorInvalidRegex', error.message), errorKey: 'errorInvalidRegex' };
+        }
+    }
+
+    /**
+     * 保存されたカスタムパターン定義から、有効なパターンのみをコンパイルする
+     * @param {{source: string, flags?: string, enabled?: boolean}[]} definitions - パターン定義（優先順）
+     * @returns {RegExp[]} コンパイル済みパターン（不正なものは除外）
+     */
+    function compileCustomPatterns(definitions) {
+        if (!Array.isArray(definitions)) {
+            return [];
+        }
+
+        const patterns = [];
+        for (const definition of definitions) {
+            if (!definition || definition.enabled === false) {
+                continue;
+            }
+            const { pattern } = compileCustomPattern(definition.source, definition.flags);
+            if (pattern) {
+                patterns.push(pattern);
+            }
+        }
+        return patterns;
+    }
+
+    // ============================================================================
+    // ワールド検出
+    // ============================================================================
+
+    /**
+     * ポスト内の全ワールドを抽出し、マッチしたパターンも返す
+     * カスタムパターン → 標準パターンの順に試し、最初にマッチしたパターンの全マッチを返す
+     * （まとめポストでは同じ書式が繰り返されるため）
+     * カスタムパターンは1つ目のキャプチャグループをワールド名、2つ目を作者名として扱う
+     * @param {string} text - 解析対象テキスト
+     * @param {RegExp[]} [customPatterns] - コンパイル済みのカスタムパターン
+     * @returns {{worlds: {worldName: string, authorName: string|null}[], pattern: RegExp|null, isCustom: boolean}} 検出結果
+     */
+    function matchWorlds(text, customPatterns = []) {
+        const empty = { worlds: [], pattern: null, isCustom: false };
+        if (!text || typeof text !== 'string') {
+            return empty;
+        }
+
+        const candidates = [
+            ...customPatterns.map(pattern => ({ pattern, isCustom: true })),
+            ...WORLD_PATTERNS.map(pattern => ({ pattern, isCustom: false }))
+        ];
+
+        for (const { pattern, isCustom } of candidates) {
+            const flags = pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`;
+            const matches = [...text.matchAll(new RegExp(pattern.source, flags))];
+
+            const found = [];
+            const seen = new Set();
+            for (const match of matches) {
+                // キャプチャグループのないカスタムパターンはマッチ全体をワールド名とする
+                const rawName = match.length > 1 ? match[1] : match[0];
+                const worldName = rawName ? cleanWorldName(rawName) : null;
+                if (!worldName || seen.has(worldName.toLowerCase())) {
+                    continue;
+                }
+                seen.add(worldName.toLowerCase());
+                found.push({
+                    worldName,
+                    authorName: isCustom && match[2] ? cleanAuthorName(match[2]) : null,
+                    index: match.index
+                });
+            }
+
+            if (found.length === 0) {
+                continue;
+            }
+
+            // 1件の場合はポスト全体、複数の場合は次のワールドまでの範囲から作者名を探す
+            const worlds = found.map((world, i) => {
+                const segment = found.length === 1
+                    ? text
+                    : text.slice(world.index, i + 1 < found.length ? found[i + 1].index : text.length);
+                return {
+                    worldName: world.worldName,
+                    authorName: world.authorName || extractAuthorName(segment)
+                };
+            });
+            return { worlds, pattern, isCustom };
+        }
+        return empty;
+    }
+
+    /**
+     * ポスト内の全ワールドを抽出する
+     * @param {string} text - 解析対象テキスト
+     * @param {RegExp[]} [customPatterns] - コンパイル済みのカスタムパターン
+     * @returns {{worldName: string, authorName: string|null}[]} 重複を除いたワールド一覧（出現順）
+     */
+    function extractWorlds(text, customPatterns = []) {
+        return matchWorlds(text, customPatterns).worlds;
+    }
+
+    // ============================================================================
+    // 公開
+    // ============================================================================
+
+    const api = Object.freeze({
+        DEFAULT_TARGET_HASHTAGS,
+        getTextWithEmoji,
+        extractWorldIdFromUrl,
+        normalizeHashtag,
+        extractHashtags,
+        hasTargetHashtag,
+        compileCustomPattern,
+        compileCustomPatterns,
+        matchWorlds,
+        extractWorlds,
+        extractAuthorName
+    });
+
+    global.VRCWorldDetection = api;
+
+    // Node.js（テスト）からは require で読み込めるようにする
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    }
+})(globalThis);
@@ -0,0 +1,199 @@
+// VRC World Opener - Internationalization
+// 表示する文字列を _locales のメッセージファイルから取得する（全画面・Service Worker・Node.jsのテストで共用）
+// chrome.i18n はブラウザの言語で固定されるため、設定で言語を選んだ場合はメッセージファイルを直接読み込んで使う
+
+'use strict';
+
+(function (global) {
+    const Settings = global.VRCWorldSettings || require('./settings.js');
+
+    // ============================================================================
+    // 定数定義
+    // ============================================================================
+
+    /** 対応している言語（_locales のディレクトリ名） */
+    const LANGUAGES = Object.freeze(['ja', 'en']);
+
+    /** 表示言語の設定（空文字はブラウザの設定に従う） */
+    const STORAGE_KEY = Settings.STORAGE_KEYS.UI_LANGUAGE;
+
+    /** コンテンツスクリプトがService Workerにメッセージファイルを要求するアクション */
+    const GET_MESSAGES_ACTION = 'getLocaleMessages';
+
+    /** Node.js（テスト）で使う言語 */
+    const TEST_LANGUAGE = 'ja';
+
+    /** HTMLの属性と、翻訳して設定する先 */
+    const ATTRIBUTE_TARGETS = [
+        { attribute: 'data-i18n', apply: (element, text) => { element.textContent = text; } },
+        { attribute: 'data-i18n-title', apply: (element, text) => { element.title = text; } },
+        { attribute: 'data-i18n-placeholder', apply: (element, text) => { element.placeholder = text; } },
+        { attribute: 'data-i18n-aria-label', apply: (element, text) => element.setAttribute('aria-label', text) }
+    ];
+
+    // ============================================================================
+    // 状態管理
+    // ============================================================================
+
+    /** @type {Object<string, {message: string}>|null} 設定で選んだ言語のメッセージ（ブラウザの言語を使う場合はnull） */
+    let overrideMessages = null;
+
+    /** @type {Object<string, {message: string}>|null} Node.jsで読み込んだメッセージ */
+    let testMessages = null;
+
+    // ============================================================================
+    // メッセージ
+    // ============================================================================
+
+    /**
+     * メッセージの $1〜$9 を置き換える（chrome.i18n.getMessage と同じ書式）
+     * @param {string} message - メッセージ
+     * @param {Array<string|number>} substitutions - 置き換える値
+     * @returns {string} 置き換えたメッセージ
+     */
+    function formatMessage(message, substitutions) {
+        return message.replace(/\$(\$|[1-9])/g, (match, index) => {
+            if (index === '$') {
+                return '$';
+            }
+            const value = substitutions[Number(index) - 1];
+            return value === undefined ? '' : String(value);
+        });
+    }
+
+    /**
+     * メッセージファイルからメッセージを取り出す
+     * @param {Object<string, {message: string}>} messages - メッセージファイルの内容
+     * @param {string} key - メッセージキー
+     * @param {Array<string|number>} substitutions - 置き換える値
+     * @returns {string} メッセージ（キーがない場合は空文字）
+     */
+    function lookupMessage(messages, key, substitutions) {
+        const entry = messages[key];
+        return entry && typeof entry.message === 'string' ? formatMessage(entry.message, substitutions) : '';
+    }
+
+    /**
+     * 表示する文字列を取得する
+     * @param {string} key - メッセージキー（_locales/{言語}/messages.json のキー）
+     * @param {string|number|Array<string|number>} [substitutions] - $1〜$9 に入れる値
+     * @returns {string} 文字列
+     */
+    function t(key, substitutions = []) {
+        const values = Array.isArray(substitutions) ? substitutions : [substitutions];
+
+        if (overrideMessages) {
+            const message = lookupMessage(overrideMessages, key, values);
+            if (message) {
+                return message;
+            }
+        }
+
+        if (typeof chrome === 'object' && chrome.i18n) {
+            return chrome.i18n.getMessage(key, values.map(String));
+        }
+
+        // Node.js（テスト）ではchrome.i18nがないため、メッセージファイルを直接読む
+        if (!testMessages) {
+            testMessages = require(`./_locales/${TEST_LANGUAGE}/messages.json`);
+        }
+        return lookupMessage(testMessages, key, values);
+    }
+
+    /**
+     * 表示中の言語を取得する（日付・数値の書式に使う）
+     * @returns {string} 言語コード（ja・en）
+     */
+    function getLanguage() {
+        return t('languageCode');
+    }
+
+    // ============================================================================
+    // 言語の切り替え
+    // ============================================================================
+
+    /**
+     * 対応している言語かどうか判定する
+     * @param {*} language - 言語
+     * @returns {boolean} 対応している場合はtrue
+     */
+    function isSupportedLanguage(language) {
+        return LANGUAGES.includes(language);
+    }
+
+    /**
+     * 拡張機能のページ・Service Workerで、指定した言語のメッセージファイルを読み込む
+     * @param {string} language - 言語
+     * @returns {Promise<Object<string, {message: string}>|null>} メッセージファイルの内容、対応していない言語の場合はnull
+     */
+    async function loadMessages(language) {
+        if (!isSupportedLanguage(language)) {
+            return null;
+        }
+        const response = await fetch(chrome.runtime.getURL(`_locales/${language}/messages.json`));
+        return response.ok ? response.json() : null;
+    }
+
+    /**
+     * 設定した表示言語を読み込む
+     * コンテンツスクリプトはページのオリジンで動くため、メッセージファイルはService Workerから受け取る
+     * @returns {Promise<void>}
+     */
+    async function init() {
+        overrideMessages = null;
+
+        try {
+            const stored = await Settings.get([STORAGE_KEY]);
+            const language = stored[STORAGE_KEY];
+            if (!isSupportedLanguage(language) || language === chrome.i18n.getMessage('languageCode')) {
+                return;
+            }
+
+            overrideMessages = location.protocol === 'chrome-extension:'
+                ? await loadMessages(language)
+                : await chrome.runtime.sendMessage({ action: GET_MESSAGES_ACTION, language });
+        } catch (error) {
+            // 読み込めない場合はブラウザの言語で表示する
+            console.warn('表示言語の読み込みに失敗:', error);
+            overrideMessages = null;
+        }
+    }
+
+    /**
+     * data-i18n 系の属性を持つ要素に文字列を設定する
+     * @param {Document|HTMLElement} [root] - 対象の範囲
+     */
+    function localizeDocument(root = document) {
+        for (const { attribute, apply } of ATTRIBUTE_TARGETS) {
+            for (const element of root.querySelectorAll(`[${attribute}]`)) {
+                apply(element, t(element.getAttribute(attribute)));
+            }
+        }
+        if (root === document) {
+            document.documentElement.lang = getLanguage();
+        }
+    }
+
+    // ============================================================================
+    // 公開
+    // ============================================================================
+
+    const api = Object.freeze({
+        LANGUAGES,
+        STORAGE_KEY,
+        GET_MESSAGES_ACTION,
+        t,
+        getLanguage,
+        isSupportedLanguage,
+        loadMessages,
+        init,
+        localizeDocument
+    });
+
+    global.VRCWorldI18n = api;
+
+    // Node.js（テスト）からは require で読み込めるようにする
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    }
+})(globalThis);
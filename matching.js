@@ -0,0 +1,311 @@
+// VRC World Opener - World Name Matching
+// ポストから検出したワールド名と、APIが返したワールド名を照合する（バックグラウンド・Node.jsのテストで共用）
+
+'use strict';
+
+(function (global) {
+    // ============================================================================
+    // 定数定義
+    // ============================================================================
+
+    /** 一致度の分類 */
+    const MATCH_LEVELS = Object.freeze({
+        /** 表記ゆれを除けば同じ名前 */
+        EXACT: 'exact',
+        /** 名前はほぼ同じ（副題の有無・軽い誤字など） */
+        LIKELY: 'likely',
+        /** 最も近い結果を推測で選んだ */
+        GUESS: 'guess'
+    });
+
+    /** 「ほぼ同じ」とみなす類似度の下限 */
+    const LIKELY_MATCH_THRESHOLD = 0.8;
+
+    /** 波ダッシュ・チルダの各種表記（∼ 〜 ⁓。全角の～はNFKCで ~ になる） */
+    const TILDE_PATTERN = /[\u223C\u301C\u2053]/g;
+
+    /** ハイフン・ダッシュの各種表記（長音符「ー」は名前の一部のため含めない） */
+    const DASH_PATTERN = /[\u2010-\u2015\u2212\u2043\uFE58\uFE63]/g;
+
+    /** 飾りとして使われる記号（☆♪♡・絵文字・異体字セレクタ・ゼロ幅接合子） */
+    const DECORATION_PATTERN = /[\p{So}\p{Sk}\p{Extended_Pictographic}\uFE0E\uFE0F\u200D]/gu;
+
+    /** 単語の区切りとして扱う文字（空白・句読点・括弧・~ などの記号） */
+    const SEPARATOR_PATTERN = /[\s\p{P}\p{Sm}]+/u;
+
+    /** 最初の検索で見つからなかった場合に試す検索語の作り方（試す順） */
+    const FALLBACK_STRATEGIES = Object.freeze({
+        /** 「 - 」や「～」以降の副題を除く */
+        DROP_SUBTITLE: 'dropSubtitle',
+        /** 括弧で囲まれた部分を除く */
+        REMOVE_BRACKETS: 'removeBrackets',
+        /** 末尾の v2・Ver.1.0 などのバージョン表記を除く */
+        REMOVE_VERSION: 'removeVersion',
+        /** 最も長い単語だけにする */
+        LONGEST_TOKEN: 'longestToken',
+        /** 日本語の部分だけにする */
+        JAPANESE_PART: 'japanesePart',
+        /** 英語の部分だけにする */
+        ENGLISH_PART: 'englishPart'
+    });
+
+    /** 副題の区切り（前後に空白のあるハイフン・ダッシュ、または波ダッシュ） */
+    const SUBTITLE_SEPARATOR_PATTERN = /\s+[-\u2010-\u2015\u2212]\s+|\s*[~\u223C\u301C]/u;
+
+    /** 括弧で囲まれた部分（NFKC後の半角括弧と、NFKCで変わらない全角括弧） */
+    const BRACKETED_PATTERN = /[(\[<【〔〈《「『][^)\]>】〕〉》」』]*[)\]>】〕〉》」』]/g;
+
+    /** 末尾のバージョン表記 */
+    const VERSION_SUFFIX_PATTERN = /[\s_-]*\b(?:v|ver\.?|version)\s*\d+(?:\.\d+)*\s*$/i;
+
+    /** 日本語の文字の並び（漢字・ひらがな・カタカナ・長音符など） */
+    const JAPANESE_RUN_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}ー々〆]+/gu;
+
+    /** 英語の単語（英字を含む英数字の並び） */
+    const ENGLISH_WORD_PATTERN = /[a-z0-9]*[a-z][a-z0-9]*(?:['.&][a-z0-9]+)*/gi;
+
+    // ============================================================================
+    // 正規化
+    // ============================================================================
+
+    /**
+     * 比較用にワールド名を正規化する
+     * 全角/半角（NFKC）・大文字小文字・波ダッシュとハイフンの表記・連続する空白・飾りの記号の違いをなくす
+     * @param {string|null} text - ワールド名
+     * @returns {string} 正規化した文字列
+     */
+    function normalizeName(text) {
+        if (!text || typeof text !== 'string') {
+            return '';
+        }
+        return text
+            .normalize('NFKC')
+            .toLowerCase()
+            .replace(TILDE_PATTERN, '~')
+            .replace(DASH_PATTERN, '-')
+            .replace(DECORATION_PATTERN, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * 正規化したワールド名を単語に分割する
+     * @param {string|null} text - ワールド名
+     * @returns {string[]} 単語の一覧
+     */
+    function tokenize(text) {
+        return normalizeName(text).split(SEPARATOR_PATTERN).filter(Boolean);
+    }
+
+    // ============================================================================
+    // 類似度
+    // ============================================================================
+
+    /**
+     * 2つの文字列の編集距離（レーベンシュタイン距離）を求める
+     * サロゲートペアを1文字として数える
+     * @param {string} a - 文字列
+     * @param {string} b - 文字列
+     * @returns {number} 編集距離
+     */
+    function editDistance(a, b) {
+        const source = Array.from(a);
+        const target = Array.from(b);
+        let previous = Array.from({ length: target.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= source.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= target.length; j++) {
+                const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+        return previous[target.length];
+    }
+
+    /**
+     * 単語の重なり具合（Dice係数）を求める
+     * @param {string[]} tokensA - 単語の一覧
+     * @param {string[]} tokensB - 単語の一覧
+     * @returns {number} 0〜1
+     */
+    function tokenOverlap(tokensA, tokensB) {
+        const setA = new Set(tokensA);
+        const setB = new Set(tokensB);
+        if (setA.size === 0 || setB.size === 0) {
+            return 0;
+        }
+        let shared = 0;
+        for (const token of setA) {
+            if (setB.has(token)) {
+                shared++;
+            }
+        }
+        return (2 * shared) / (setA.size + setB.size);
+    }
+
+    /**
+     * 2つのワールド名の類似度を求める
+     * 空白・記号を除いた文字列の編集距離と、単語の重なりのうち高い方を使う
+     * （日本語の名前は編集距離、副題の有無や語順の違いは単語の重なりで拾う）
+     * @param {string|null} a - ワールド名
+     * @param {string|null} b - ワールド名
+     * @returns {number} 0〜1（1は表記ゆれを除いて同じ名前）
+     */
+    function similarity(a, b) {
+        const tokensA = tokenize(a);
+        const tokensB = tokenize(b);
+        const compactA = tokensA.join('');
+        const compactB = tokensB.join('');
+
+        // 記号だけの名前は正規化で空になるため、全角/半角と大文字小文字だけ揃えて比べる
+        if (!compactA || !compactB) {
+            const simpleA = typeof a === 'string' ? a.normalize('NFKC').trim().toLowerCase() : '';
+            const simpleB = typeof b === 'string' ? b.normalize('NFKC').trim().toLowerCase() : '';
+            return simpleA && simpleA === simpleB ? 1 : 0;
+        }
+        if (compactA === compactB) {
+            return 1;
+        }
+
+        const length = Math.max(Array.from(compactA).length, Array.from(compactB).length);
+        const editScore = 1 - editDistance(compactA, compactB) / length;
+        // 完全一致（1）と区別するため、単語がすべて重なる場合（語順違いなど）も1未満にする
+        const tokenScore = Math.min(tokenOverlap(tokensA, tokensB), 0.99);
+        return Math.max(editScore, tokenScore);
+    }
+
+    /**
+     * 表記ゆれを除いて同じ名前かどうか判定する
+     * @param {string|null} a - ワールド名
+     * @param {string|null} b - ワールド名
+     * @returns {boolean} 同じ名前の場合はtrue
+     */
+    function isSameName(a, b) {
+        return similarity(a, b) === 1;
+    }
+
+    /**
+     * 類似度から一致度を分類する
+     * @param {number} score - 類似度（0〜1）
+     * @returns {string} MATCH_LEVELS のいずれか
+     */
+    function classifyMatch(score) {
+        if (score >= 1) {
+            return MATCH_LEVELS.EXACT;
+        }
+        return score >= LIKELY_MATCH_THRESHOLD ? MATCH_LEVELS.LIKELY : MATCH_LEVELS.GUESS;
+    }
+
+    // ============================================================================
+    // 再検索用の検索語
+    // ============================================================================
+
+    /**
+     * 各戦略で検索語を作る
+     * @param {string} strategy - FALLBACK_STRATEGIES のいずれか
+     * @param {string} text - 1つ前の戦略までを適用したワールド名
+     * @returns {string} 検索語（戦略を適用できない場合は text のまま）
+     */
+    function buildFallbackQuery(strategy, text) {
+        switch (strategy) {
+            case FALLBACK_STRATEGIES.DROP_SUBTITLE: {
+                const match = text.match(SUBTITLE_SEPARATOR_PATTERN);
+                return match ? text.slice(0, match.index) : text;
+            }
+            case FALLBACK_STRATEGIES.REMOVE_BRACKETS:
+                return text.replace(BRACKETED_PATTERN, ' ');
+            case FALLBACK_STRATEGIES.REMOVE_VERSION:
+                return text.replace(VERSION_SUFFIX_PATTERN, '');
+            case FALLBACK_STRATEGIES.LONGEST_TOKEN: {
+                const tokens = text.split(SEPARATOR_PATTERN).filter(Boolean);
+                if (tokens.length < 2) {
+                    return text;
+                }
+                // 同じ長さの場合は先に出てきた単語を使う
+                return tokens.reduce((longest, token) =>
+                    Array.from(token).length > Array.from(longest).length ? token : longest);
+            }
+            case FALLBACK_STRATEGIES.JAPANESE_PART:
+            case FALLBACK_STRATEGIES.ENGLISH_PART: {
+                // 日本語と英語の両方を含む名前だけが対象
+                const japanese = text.match(JAPANESE_RUN_PATTERN) || [];
+                const english = text.match(ENGLISH_WORD_PATTERN) || [];
+                if (japanese.length === 0 || english.length === 0) {
+                    return text;
+                }
+                return (strategy === FALLBACK_STRATEGIES.JAPANESE_PART ? japanese : english).join(' ');
+            }
+            default:
+                return text;
+        }
+    }
+
+    /**
+     * 最初の検索で見つからなかった場合に試す検索語を、試す順に列挙する
+     * 副題・括弧・バージョン表記は順に重ねて除き、残った部分から単語や日本語/英語の部分を取り出す
+     * 元の名前や先に試す検索語と同じになるものは除く
+     * @param {string} worldName - ワールド名
+     * @returns {{strategy: string, query: string}[]} 戦略と検索語
+     */
+    function listFallbackQueries(worldName) {
+        if (!worldName || typeof worldName !== 'string') {
+            return [];
+        }
+
+        /** 重ねて除いていく戦略 */
+        const cumulativeStrategies = [
+            FALLBACK_STRATEGIES.DROP_SUBTITLE,
+            FALLBACK_STRATEGIES.REMOVE_BRACKETS,
+            FALLBACK_STRATEGIES.REMOVE_VERSION
+        ];
+
+        let core = worldName
+            .normalize('NFKC')
+            .replace(DECORATION_PATTERN, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+        const seen = new Set([normalizeName(worldName)]);
+        const queries = [];
+
+        for (const strategy of Object.values(FALLBACK_STRATEGIES)) {
+            const query = buildFallbackQuery(strategy, core).replace(/\s+/g, ' ').trim();
+            if (cumulativeStrategies.includes(strategy) && query) {
+                core = query;
+            }
+
+            const key = normalizeName(query);
+            if (!key || seen.has(key)) {
+                continue;
+            }
+            seen.add(key);
+            queries.push({ strategy, query });
+        }
+        return queries;
+    }
+
+    // ============================================================================
+    // 公開
+    // ============================================================================
+
+    const api = Object.freeze({
+        MATCH_LEVELS,
+        LIKELY_MATCH_THRESHOLD,
+        FALLBACK_STRATEGIES,
+        normalizeName,
+        tokenize,
+        editDistance,
+        similarity,
+        isSameName,
+        classifyMatch,
+        listFallbackQueries
+    });
+
+    global.VRCWorldMatching = api;
+
+    // Node.js（テスト）からは require で読み込めるようにする
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    }
+})(globalThis);
@@ -0,0 +1,1134 @@
+// VRC World Opener - Options Script
+// 設定ページのUI制御（設定は chrome.storage.sync に保存され、同じGoogleアカウントのPCで共有される）
+
+'use strict';
+
+document.addEventListener('DOMContentLoaded', async () => {
+    // ============================================================================
+    // 定数定義
+    // ============================================================================
+
+    /** 設定の読み書き（settings.js） */
+    const Settings = globalThis.VRCWorldSettings;
+
+    /** ワールド検出ロジック（detection.js） */
+    const Detection = globalThis.VRCWorldDetection;
+
+    /** 対応サイトの定義（sites.js） */
+    const Sites = globalThis.VRCWorldSites;
+
+    /** 表示する文字列（i18n.js） */
+    const I18n = globalThis.VRCWorldI18n;
+
+    // 以降の定数・画面の文字列は、設定した表示言語を読み込んでから作る
+    await I18n.init();
+    I18n.localizeDocument();
+
+    /** ストレージキー（settings.js） */
+    const STORAGE_KEYS = Settings.STORAGE_KEYS;
+
+    /** インスタンス作成のデフォルト設定 */
+    const DEFAULT_INSTANCE_TYPE = 'invite';
+    const DEFAULT_INSTANCE_REGION = 'jp';
+
+    /** 対応していないワールドの表示方法のデフォルト値 */
+    const DEFAULT_PLATFORM_MISMATCH_MODE = 'warn';
+
+    /** 履歴の保存件数のデフォルト値 */
+    const DEFAULT_HISTORY_LIMIT = 200;
+
+    /** エクスポートするファイル名の先頭（後ろに日付が付く） */
+    const BACKUP_FILE_PREFIX = 'vrc-world-opener-backup';
+
+    /** メッセージアクション */
+    const ACTIONS = {
+        GET_WORLD_CACHE_STATS: 'getWorldCacheStats',
+        CLEAR_WORLD_CACHE: 'clearWorldCache',
+        GET_FAVORITE_GROUPS: 'getFavoriteGroups',
+        SET_HISTORY_LIMIT: 'setHistoryLimit',
+        IMPORT_HISTORY: 'importHistory'
+    };
+
+    /** ショートカットの設定ページ */
+    const SHORTCUT_SETTINGS_URL = 'chrome://extensions/shortcuts';
+
+    /** ショートカットの説明のメッセージキー（manifest.json の commands と同じもの） */
+    const SHORTCUT_DESCRIPTION_KEYS = {
+        'open-world': 'commandOpenWorld',
+        'search-world': 'commandSearchWorld'
+    };
+
+    /** ボタンテキスト */
+    const BUTTON_TEXT = {
+        CLEAR_CACHE: I18n.t('buttonClearCache'),
+        CLEARING_CACHE: I18n.t('buttonClearingCache')
+    };
+
+    // ============================================================================
+    // DOM要素の取得
+    // ============================================================================
+
+    /** @type {HTMLSelectElement} */
+    const uiLanguageSelect = document.getElementById('ui-language');
+    /** @type {HTMLInputElement} */
+    const showOpenBtnToggle = document.getElementById('show-open-btn-toggle');
+    /** @type {HTMLInputElement} */
+    const showSearchBtnToggle = document.getElementById('show-search-btn-toggle');
+    /** @type {HTMLInputElement} */
+    const pickCandidatesToggle = document.getElementById('pick-candidates-toggle');
+    /** @type {HTMLSelectElement} */
+    const myPlatformSelect = document.getElementById('my-platform');
+    /** @type {HTMLSelectElement} */
+    const platformMismatchModeSelect = document.getElementById('platform-mismatch-mode');
+    /** @type {HTMLInputElement} */
+    const showInviteBtnToggle = document.getElementById('show-invite-btn-toggle');
+    /** @type {HTMLSelectElement} */
+    const instanceTypeSelect = document.getElementById('instance-type');
+    /** @type {HTMLSelectElement} */
+    const instanceRegionSelect = document.getElementById('instance-region');
+    /** @type {HTMLElement} */
+    const instanceGroupField = document.getElementById('instance-group-field');
+    /** @type {HTMLInputElement} */
+    const instanceGroupIdInput = document.getElementById('instance-group-id');
+    /** @type {HTMLInputElement} */
+    const showFavoriteBtnToggle = document.getElementById('show-favorite-btn-toggle');
+    /** @type {HTMLElement} */
+    const settingsError = document.getElementById('settings-error');
+
+    /** @type {HTMLSelectElement} */
+    const favoriteGroupSelect = document.getElementById('favorite-group');
+    /** @type {HTMLButtonElement} */
+    const favoriteGroupRefreshBtn = document.getElementById('favorite-group-refresh-btn');
+    /** @type {HTMLElement} */
+    const favoriteGroupNote = document.getElementById('favorite-group-note');
+
+    /** @type {HTMLInputElement} */
+    const blueskyToggle = document.getElementById('bluesky-toggle');
+    /** @type {HTMLUListElement} */
+    const misskeyHostList = document.getElementById('misskey-host-list');
+    /** @type {HTMLElement} */
+    const misskeyHostEmpty = document.getElementById('misskey-host-empty');
+    /** @type {HTMLInputElement} */
+    const misskeyHostInput = document.getElementById('misskey-host-input');
+    /** @type {HTMLButtonElement} */
+    const misskeyHostAddBtn = document.getElementById('misskey-host-add-btn');
+    /** @type {HTMLElement} */
+    const siteError = document.getElementById('site-error');
+    /** @type {HTMLElement} */
+    const sitePermission = document.getElementById('site-permission');
+    /** @type {HTMLElement} */
+    const sitePermissionText = document.getElementById('site-permission-text');
+    /** @type {HTMLButtonElement} */
+    const sitePermissionBtn = document.getElementById('site-permission-btn');
+
+    /** @type {HTMLInputElement} */
+    const matchAnyPostToggle = document.getElementById('match-any-post-toggle');
+    /** @type {HTMLUListElement} */
+    const hashtagList = document.getElementById('hashtag-list');
+    /** @type {HTMLElement} */
+    const hashtagEmpty = document.getElementById('hashtag-empty');
+    /** @type {HTMLInputElement} */
+    const hashtagInput = document.getElementById('hashtag-input');
+    /** @type {HTMLButtonElement} */
+    const hashtagAddBtn = document.getElementById('hashtag-add-btn');
+    /** @type {HTMLButtonElement} */
+    const hashtagResetBtn = document.getElementById('hashtag-reset-btn');
+    /** @type {HTMLElement} */
+    const hashtagError = document.getElementById('hashtag-error');
+
+    /** @type {HTMLUListElement} */
+    const patternList = document.getElementById('pattern-list');
+    /** @type {HTMLElement} */
+    const patternEmpty = document.getElementById('pattern-empty');
+    /** @type {HTMLInputElement} */
+    const patternSourceInput = document.getElementById('pattern-source');
+    /** @type {HTMLInputElement} */
+    const patternFlagsInput = document.getElementById('pattern-flags');
+    /** @type {HTMLButtonElement} */
+    const patternAddBtn = document.getElementById('pattern-add-btn');
+    /** @type {HTMLElement} */
+    const patternError = document.getElementById('pattern-error');
+    /** @type {HTMLTextAreaElement} */
+    const patternSample = document.getElementById('pattern-sample');
+    /** @type {HTMLElement} */
+    const patternPreview = document.getElementById('pattern-preview');
+
+    /** @type {HTMLSelectElement} */
+    const historyLimitSelect = document.getElementById('history-limit');
+    /** @type {HTMLUListElement} */
+    const shortcutList = document.getElementById('shortcut-list');
+    /** @type {HTMLButtonElement} */
+    const shortcutSettingsBtn = document.getElementById('shortcut-settings-btn');
+    /** @type {HTMLButtonElement} */
+    const clearCacheBtn = document.getElementById('clear-cache-btn');
+    /** @type {HTMLElement} */
+    const cacheStats = document.getElementById('cache-stats');
+
+    /** @type {HTMLButtonElement} */
+    const exportBackupBtn = document.getElementById('export-backup-btn');
+    /** @type {HTMLButtonElement} */
+    const importBackupBtn = document.getElementById('import-backup-btn');
+    /** @type {HTMLInputElement} */
+    const importBackupFile = document.getElementById('import-backup-file');
+    /** @type {HTMLElement} */
+    const backupStatus = document.getElementById('backup-status');
+    /** @type {HTMLElement} */
+    const backupError = document.getElementById('backup-error');
+
+    // ============================================================================
+    // 状態管理
+    // ============================================================================
+
+    /** @type {{id: string, source: string, flags: string, enabled: boolean}[]} カスタム検出パターン（優先順） */
+    let customPatternDefinitions = [];
+
+    /** @type {string[]} 対象ハッシュタグ */
+    let targetHashtags = [];
+
+    /** @type {{enableBluesky: boolean, misskeyHosts: string[]}} 追加サイトの設定 */
+    let siteSettings = { enableBluesky: false, misskeyHosts: [] };
+
+    // ============================================================================
+    // ユーティリティ関数
+    // ============================================================================
+
+    /**
+     * 設定を読み込む
+     */
+    async function loadSettings() {
+        try {
+            const keys = [
+                STORAGE_KEYS.SHOW_OPEN_BTN,
+                STORAGE_KEYS.SHOW_SEARCH_BTN,
+                STORAGE_KEYS.PICK_CANDIDATES,
+                STORAGE_KEYS.SHOW_INVITE_BTN,
+                STORAGE_KEYS.INSTANCE_TYPE,
+                STORAGE_KEYS.INSTANCE_REGION,
+                STORAGE_KEYS.INSTANCE_GROUP_ID,
+                STORAGE_KEYS.SHOW_FAVORITE_BTN,
+                STORAGE_KEYS.MATCH_ANY_POST,
+                STORAGE_KEYS.MY_PLATFORM,
+                STORAGE_KEYS.PLATFORM_MISMATCH_MODE,
+                I18n.STORAGE_KEY
+            ];
+            const result = await Settings.get(keys);
+
+            // デフォルトはtrue
+            if (showOpenBtnToggle) showOpenBtnToggle.checked = result[STORAGE_KEYS.SHOW_OPEN_BTN] !== false;
+            if (showSearchBtnToggle) showSearchBtnToggle.checked = result[STORAGE_KEYS.SHOW_SEARCH_BTN] !== false;
+            // 候補選択はデフォルトfalse
+            if (pickCandidatesToggle) pickCandidatesToggle.checked = result[STORAGE_KEYS.PICK_CANDIDATES] === true;
+            if (showInviteBtnToggle) showInviteBtnToggle.checked = result[STORAGE_KEYS.SHOW_INVITE_BTN] === true;
+            if (showFavoriteBtnToggle) showFavoriteBtnToggle.checked = result[STORAGE_KEYS.SHOW_FAVORITE_BTN] === true;
+            if (matchAnyPostToggle) matchAnyPostToggle.checked = result[STORAGE_KEYS.MATCH_ANY_POST] === true;
+
+            if (instanceTypeSelect) instanceTypeSelect.value = result[STORAGE_KEYS.INSTANCE_TYPE] || DEFAULT_INSTANCE_TYPE;
+            if (instanceRegionSelect) instanceRegionSelect.value = result[STORAGE_KEYS.INSTANCE_REGION] || DEFAULT_INSTANCE_REGION;
+            if (instanceGroupIdInput) instanceGroupIdInput.value = result[STORAGE_KEYS.INSTANCE_GROUP_ID] || '';
+            if (myPlatformSelect) myPlatformSelect.value = result[STORAGE_KEYS.MY_PLATFORM] || '';
+            if (platformMismatchModeSelect) {
+                platformMismatchModeSelect.value = result[STORAGE_KEYS.PLATFORM_MISMATCH_MODE] || DEFAULT_PLATFORM_MISMATCH_MODE;
+            }
+            if (uiLanguageSelect) {
+                const language = result[I18n.STORAGE_KEY];
+                uiLanguageSelect.value = I18n.isSupportedLanguage(language) ? language : '';
+            }
+        } catch {
+            // エラー時はデフォルト値
+            if (showOpenBtnToggle) showOpenBtnToggle.checked = true;
+            if (showSearchBtnToggle) showSearchBtnToggle.checked = true;
+            if (pickCandidatesToggle) pickCandidatesToggle.checked = false;
+            if (showInviteBtnToggle) showInviteBtnToggle.checked = false;
+            if (showFavoriteBtnToggle) showFavoriteBtnToggle.checked = false;
+            if (matchAnyPostToggle) matchAnyPostToggle.checked = false;
+        }
+        updateInviteFields();
+    }
+
+    /**
+     * 表示言語を変更する
+     * 開いているページとService Workerはストレージの変更で切り替わるため、設定ページは読み込み直すだけでよい
+     */
+    async function handleUiLanguageChange() {
+        if (await saveSettings({ [I18n.STORAGE_KEY]: uiLanguageSelect.value }, settingsError)) {
+            location.reload();
+        } else {
+            await loadSettings();
+        }
+    }
+
+    /**
+     * インスタンス設定の表示を切り替える（グループIDはグループ選択時のみ表示）
+     */
+    function updateInviteFields() {
+        instanceGroupField?.classList.toggle('hidden', instanceTypeSelect?.value !== 'group');
+    }
+
+    /**
+     * 設定を更新する（コンテンツスクリプトはストレージの変更を監視して反映する）
+     */
+    async function updateSettings() {
+        const settings = {
+            [STORAGE_KEYS.SHOW_OPEN_BTN]: showOpenBtnToggle ? showOpenBtnToggle.checked : true,
+            [STORAGE_KEYS.SHOW_SEARCH_BTN]: showSearchBtnToggle ? showSearchBtnToggle.checked : true,
+            [STORAGE_KEYS.PICK_CANDIDATES]: pickCandidatesToggle ? pickCandidatesToggle.checked : false,
+            [STORAGE_KEYS.SHOW_INVITE_BTN]: showInviteBtnToggle ? showInviteBtnToggle.checked : false,
+            [STORAGE_KEYS.INSTANCE_TYPE]: instanceTypeSelect ? instanceTypeSelect.value : DEFAULT_INSTANCE_TYPE,
+            [STORAGE_KEYS.INSTANCE_REGION]: instanceRegionSelect ? instanceRegionSelect.value : DEFAULT_INSTANCE_REGION,
+            [STORAGE_KEYS.INSTANCE_GROUP_ID]: instanceGroupIdInput ? instanceGroupIdInput.value.trim() : '',
+            [STORAGE_KEYS.SHOW_FAVORITE_BTN]: showFavoriteBtnToggle ? showFavoriteBtnToggle.checked : false,
+            [STORAGE_KEYS.MATCH_ANY_POST]: matchAnyPostToggle ? matchAnyPostToggle.checked : false,
+            [STORAGE_KEYS.MY_PLATFORM]: myPlatformSelect ? myPlatformSelect.value : '',
+            [STORAGE_KEYS.PLATFORM_MISMATCH_MODE]: platformMismatchModeSelect
+                ? platformMismatchModeSelect.value
+                : DEFAULT_PLATFORM_MISMATCH_MODE
+        };
+        updateInviteFields();
+
+        if (!(await saveSettings(settings, settingsError))) {
+            // 保存できなかった場合は保存されている値に戻す
+            await loadSettings();
+        }
+    }
+
+    /**
+     * 設定を保存し、保存できなかった場合や同期できなかった場合はメッセージを表示する
+     * @param {object} items - ストレージキーと値
+     * @param {HTMLElement} errorElement - メッセージの表示先
+     * @returns {Promise<boolean>} 保存できた場合はtrue
+     */
+    async function saveSettings(items, errorElement) {
+        try {
+            const localOnly = await Settings.set(items);
+            if (localOnly.length > 0) {
+                showError(errorElement, I18n.t('noteSavedLocally'));
+            } else {
+                hideError(errorElement);
+            }
+            return true;
+        } catch (e) {
+            console.error('設定の保存に失敗しました', e);
+            showError(errorElement, Settings.isQuotaError(e) ? I18n.t('errorSyncQuota') : I18n.t('errorSaveSettings', e.message));
+            return false;
+        }
+    }
+
+    /**
+     * 一覧の項目に付ける小さな操作ボタン（並べ替え・削除・開くなど）を作成する
+     * @param {string} text - ボタンの表示テキスト
+     * @param {string} label - aria-label
+     * @param {Function} onClick - クリック時の処理
+     * @param {boolean} [disabled] - 無効にするかどうか
+     * @returns {HTMLButtonElement} 作成されたボタン要素
+     */
+    function createActionButton(text, label, onClick, disabled = false) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'pattern-action';
+        button.textContent = text;
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        button.disabled = disabled;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * エラーメッセージを表示する
+     * @param {HTMLElement} element - エラー表示要素
+     * @param {string} message - エラーメッセージ
+     */
+    function showError(element, message) {
+        if (element) {
+            element.textContent = message;
+            element.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * エラーメッセージを非表示にする
+     * @param {HTMLElement} element - エラー表示要素
+     */
+    function hideError(element) {
+        if (element) {
+            element.classList.add('hidden');
+        }
+    }
+
+    // ============================================================================
+    // お気に入り関連
+    // ============================================================================
+
+    /**
+     * お気に入りグループの選択肢を読み込む（ログインが必要）
+     * @param {boolean} [refresh] - キャッシュを使わずに取得する
+     */
+    async function loadFavoriteGroups(refresh = false) {
+        if (!favoriteGroupSelect) return;
+
+        try {
+            const [response, stored] = await Promise.all([
+                chrome.runtime.sendMessage({ action: ACTIONS.GET_FAVORITE_GROUPS, refresh }),
+                Settings.get([STORAGE_KEYS.FAVORITE_GROUP])
+            ]);
+
+            if (!response || !response.success) {
+                favoriteGroupSelect.disabled = true;
+                if (favoriteGroupNote) {
+                    favoriteGroupNote.textContent = response?.needsAuth
+                        ? I18n.t('favoriteGroupLoginNote')
+                        : (response?.error || I18n.t('errorFavoriteGroups'));
+                }
+                return;
+            }
+
+            favoriteGroupSelect.replaceChildren(...response.groups.map((group) => {
+                const option = document.createElement('option');
+                option.value = group.name;
+                option.textContent = group.displayName;
+                return option;
+            }));
+            favoriteGroupSelect.disabled = response.groups.length === 0;
+
+            const selected = stored[STORAGE_KEYS.FAVORITE_GROUP];
+            if (selected && response.groups.some(group => group.name === selected)) {
+                favoriteGroupSelect.value = selected;
+            }
+            if (favoriteGroupNote) favoriteGroupNote.textContent = '';
+        } catch {
+            favoriteGroupSelect.disabled = true;
+        }
+    }
+
+    /**
+     * 追加先のお気に入りグループを保存する
+     */
+    async function saveFavoriteGroup() {
+        if (!(await saveSettings({ [STORAGE_KEYS.FAVORITE_GROUP]: favoriteGroupSelect.value }, settingsError))) {
+            await loadFavoriteGroups();
+        }
+    }
+
+    // ============================================================================
+    // 対応サイト関連
+    // ============================================================================
+
+    /**
+     * 追加サイト（Bluesky・Misskey）の設定を読み込む
+     */
+    async function loadSiteSettings() {
+        try {
+            const result = await Settings.get([STORAGE_KEYS.ENABLE_BLUESKY, STORAGE_KEYS.MISSKEY_HOSTS]);
+            siteSettings = {
+                enableBluesky: result[STORAGE_KEYS.ENABLE_BLUESKY] === true,
+                misskeyHosts: Array.isArray(result[STORAGE_KEYS.MISSKEY_HOSTS]) ? result[STORAGE_KEYS.MISSKEY_HOSTS] : []
+            };
+        } catch {
+            siteSettings = { enableBluesky: false, misskeyHosts: [] };
+        }
+
+        if (blueskyToggle) blueskyToggle.checked = siteSettings.enableBluesky;
+        renderMisskeyHostList();
+    }
+
+    /**
+     * 追加サイトの設定を保存する（コンテンツスクリプトの登録はService Workerが行う）
+     */
+    async function saveSiteSettings() {
+        const saved = await saveSettings({
+            [STORAGE_KEYS.ENABLE_BLUESKY]: siteSettings.enableBluesky,
+            [STORAGE_KEYS.MISSKEY_HOSTS]: siteSettings.misskeyHosts
+        }, siteError);
+        if (!saved) {
+            await loadSiteSettings();
+        }
+        await updateSitePermission();
+    }
+
+    /**
+     * 有効にした追加サイトのうち、このPCでアクセスを許可していないものを案内する
+     * 設定は同期・インポートで別のPCから届くが、ホストへのアクセス許可はPCごとに必要
+     */
+    async function updateSitePermission() {
+        if (!sitePermission) return;
+
+        const hosts = [...(siteSettings.enableBluesky ? [Sites.BLUESKY_HOST] : []), ...siteSettings.misskeyHosts];
+        const missing = [];
+        for (const host of hosts) {
+            const granted = await chrome.permissions.contains({ origins: [Sites.toOriginPattern(host)] }).catch(() => false);
+            if (!granted) {
+                missing.push(host);
+            }
+        }
+
+        if (sitePermissionText) {
+            sitePermissionText.textContent = I18n.t('sitePermissionMissing', missing.join(I18n.t('enumerationSeparator')));
+        }
+        sitePermission.classList.toggle('hidden', missing.length === 0);
+    }
+
+    /**
+     * 追加サイトの設定を保存してから、アクセス許可を求める
+     * 許可ダイアログで画面が閉じても設定は残り、許可されるとService Workerがコンテンツスクリプトを登録する
+     * @param {string[]} origins - 許可を求めるオリジン
+     * @returns {Promise<boolean>} 許可された場合はtrue
+     */
+    async function saveAndRequestSites(origins) {
+        // 許可ダイアログはクリック直後に呼び出す必要があるため、保存の完了は待たない
+        const saving = saveSiteSettings();
+        const granted = await chrome.permissions.request({ origins }).catch(() => false);
+        await saving;
+        await updateSitePermission();
+        return granted;
+    }
+
+    /**
+     * 許可していない追加サイトへのアクセス許可を求める（コンテンツスクリプトの登録はService Workerが行う）
+     */
+    async function handleGrantSites() {
+        const origins = Sites.getOptionalOrigins(siteSettings);
+        // 許可ダイアログはクリック直後に呼び出す必要がある
+        const granted = await chrome.permissions.request({ origins }).catch(() => false);
+        if (!granted) {
+            showError(siteError, I18n.t('errorSitesPermission'));
+        }
+        await updateSitePermission();
+    }
+
+    /**
+     * Misskeyのホスト一覧を描画する
+     */
+    function renderMisskeyHostList() {
+        if (!misskeyHostList) return;
+
+        misskeyHostList.replaceChildren();
+        misskeyHostEmpty?.classList.toggle('hidden', siteSettings.misskeyHosts.length > 0);
+
+        siteSettings.misskeyHosts.forEach((host, index) => {
+            const item = document.createElement('li');
+            item.className = 'pattern-item';
+
+            const label = document.createElement('span');
+            label.className = 'pattern-source';
+            label.textContent = host;
+            item.appendChild(label);
+
+            item.appendChild(createActionButton('✕', I18n.t('ariaRemoveItem', host), () => removeMisskeyHost(index)));
+            misskeyHostList.appendChild(item);
+        });
+    }
+
+    /**
+     * Blueskyの有効/無効を切り替える（有効にする場合はbsky.appへのアクセス許可を求める）
+     */
+    async function handleBlueskyToggle() {
+        const origins = [Sites.toOriginPattern(Sites.BLUESKY_HOST)];
+        hideError(siteError);
+
+        if (blueskyToggle.checked) {
+            siteSettings.enableBluesky = true;
+            const granted = await saveAndRequestSites(origins);
+            if (!granted) {
+                // 許可されなかった場合は設定を戻す
+                blueskyToggle.checked = false;
+                siteSettings.enableBluesky = false;
+                await saveSiteSettings();
+                showError(siteError, I18n.t('errorBlueskyPermission'));
+            }
+            return;
+        }
+
+        await chrome.permissions.remove({ origins }).catch(() => false);
+        siteSettings.enableBluesky = false;
+        await saveSiteSettings();
+    }
+
+    /**
+     * Misskeyのホストを追加する（ホストへのアクセス許可を求める）
+     */
+    async function handleAddMisskeyHost() {
+        const host = Sites.normalizeHost(misskeyHostInput?.value || '');
+        if (!host) {
+            showError(siteError, I18n.t('errorInvalidHost'));
+            return;
+        }
+        if (siteSettings.misskeyHosts.includes(host)) {
+            showError(siteError, I18n.t('errorDuplicateHost'));
+            return;
+        }
+
+        hideError(siteError);
+        siteSettings.misskeyHosts.push(host);
+        renderMisskeyHostList();
+        const granted = await saveAndRequestSites([Sites.toOriginPattern(host)]);
+        if (!granted) {
+            // 許可されなかった場合は追加したホストを戻す
+            siteSettings.misskeyHosts = siteSettings.misskeyHosts.filter(h => h !== host);
+            renderMisskeyHostList();
+            await saveSiteSettings();
+            showError(siteError, I18n.t('errorHostPermission', host));
+            return;
+        }
+
+        if (misskeyHostInput) misskeyHostInput.value = '';
+    }
+
+    /**
+     * Misskeyのホストを削除し、アクセス許可も取り消す
+     * @param {number} index - 対象のインデックス
+     */
+    async function removeMisskeyHost(index) {
+        const [host] = siteSettings.misskeyHosts.splice(index, 1);
+        renderMisskeyHostList();
+        await saveSiteSettings();
+        await chrome.permissions.remove({ origins: [Sites.toOriginPattern(host)] }).catch(() => false);
+    }
+
+    // ============================================================================
+    // 対象ハッシュタグ関連
+    // ============================================================================
+
+    /**
+     * 対象ハッシュタグを読み込む（未設定の場合は初期値）
+     */
+    async function loadTargetHashtags() {
+        try {
+            const result = await Settings.get([STORAGE_KEYS.TARGET_HASHTAGS]);
+            const stored = result[STORAGE_KEYS.TARGET_HASHTAGS];
+            targetHashtags = Array.isArray(stored) ? stored : [...Detection.DEFAULT_TARGET_HASHTAGS];
+        } catch {
+            targetHashtags = [...Detection.DEFAULT_TARGET_HASHTAGS];
+        }
+        renderHashtagList();
+    }
+
+    /**
+     * 対象ハッシュタグを保存する（コンテンツスクリプトはストレージの変更を監視して反映する）
+     */
+    async function saveTargetHashtags() {
+        renderHashtagList();
+        if (!(await saveSettings({ [STORAGE_KEYS.TARGET_HASHTAGS]: targetHashtags }, hashtagError))) {
+            await loadTargetHashtags();
+        }
+    }
+
+    /**
+     * 対象ハッシュタグの一覧を描画する
+     */
+    function renderHashtagList() {
+        if (!hashtagList) return;
+
+        hashtagList.replaceChildren();
+        hashtagEmpty?.classList.toggle('hidden', targetHashtags.length > 0);
+
+        targetHashtags.forEach((hashtag, index) => {
+            const item = document.createElement('li');
+            item.className = 'pattern-item';
+
+            const label = document.createElement('span');
+            label.className = 'pattern-source';
+            label.textContent = hashtag;
+            item.appendChild(label);
+
+            item.appendChild(createActionButton('✕', I18n.t('ariaRemoveItem', hashtag), () => removeHashtag(index)));
+            hashtagList.appendChild(item);
+        });
+    }
+
+    /**
+     * 対象ハッシュタグを追加する
+     */
+    async function handleAddHashtag() {
+        const value = (hashtagInput?.value || '').trim();
+        const normalized = Detection.normalizeHashtag(value);
+
+        if (!normalized || /[\s#]/.test(normalized)) {
+            showError(hashtagError, I18n.t('errorHashtagRequired'));
+            return;
+        }
+        if (targetHashtags.some(hashtag => Detection.normalizeHashtag(hashtag) === normalized)) {
+            showError(hashtagError, I18n.t('errorDuplicateHashtag'));
+            return;
+        }
+
+        hideError(hashtagError);
+        targetHashtags.push(value.replace(/^[#＃]*/, '#'));
+        if (hashtagInput) hashtagInput.value = '';
+        await saveTargetHashtags();
+    }
+
+    /**
+     * 対象ハッシュタグを削除する
+     * @param {number} index - 対象のインデックス
+     */
+    function removeHashtag(index) {
+        targetHashtags.splice(index, 1);
+        saveTargetHashtags();
+    }
+
+    /**
+     * 対象ハッシュタグを初期値に戻す
+     */
+    function resetHashtags() {
+        hideError(hashtagError);
+        targetHashtags = [...Detection.DEFAULT_TARGET_HASHTAGS];
+        saveTargetHashtags();
+    }
+
+    // ============================================================================
+    // 検出パターン関連
+    // ============================================================================
+
+    /**
+     * カスタム検出パターンを読み込む
+     */
+    async function loadCustomPatterns() {
+        try {
+            const result = await Settings.get([STORAGE_KEYS.CUSTOM_PATTERNS]);
+            const stored = result[STORAGE_KEYS.CUSTOM_PATTERNS];
+            customPatternDefinitions = Array.isArray(stored) ? stored : [];
+        } catch {
+            customPatternDefinitions = [];
+        }
+        renderPatternList();
+        updatePatternPreview();
+    }
+
+    /**
+     * カスタム検出パターンを保存する（コンテンツスクリプトはストレージの変更を検知して再スキャンする）
+     */
+    async function saveCustomPatterns() {
+        if (!(await saveSettings({ [STORAGE_KEYS.CUSTOM_PATTERNS]: customPatternDefinitions }, patternError))) {
+            // 保存できなかったパターンは表示からも戻す
+            await loadCustomPatterns();
+            return;
+        }
+        renderPatternList();
+        updatePatternPreview();
+    }
+
+    /**
+     * カスタム検出パターンの一覧を描画する
+     */
+    function renderPatternList() {
+        if (!patternList) return;
+
+        patternList.replaceChildren();
+        patternEmpty?.classList.toggle('hidden', customPatternDefinitions.length > 0);
+
+        customPatternDefinitions.forEach((definition, index) => {
+            const { error } = Detection.compileCustomPattern(definition.source, definition.flags);
+
+            const item = document.createElement('li');
+            item.className = 'pattern-item';
+            if (error) {
+                item.classList.add('invalid');
+                item.title = error;
+            }
+
+            const enabledCheckbox = document.createElement('input');
+            enabledCheckbox.type = 'checkbox';
+            enabledCheckbox.checked = definition.enabled !== false;
+            enabledCheckbox.setAttribute('aria-label', I18n.t('ariaEnablePattern', index + 1));
+            enabledCheckbox.addEventListener('change', () => {
+                definition.enabled = enabledCheckbox.checked;
+                saveCustomPatterns();
+            });
+            item.appendChild(enabledCheckbox);
+
+            const source = document.createElement('code');
+            source.className = 'pattern-source';
+            source.textContent = `/${definition.source}/${definition.flags || ''}`;
+            item.appendChild(source);
+
+            item.appendChild(createActionButton('↑', I18n.t('actionMoveUp'), () => movePattern(index, -1), index === 0));
+            item.appendChild(createActionButton('↓', I18n.t('actionMoveDown'), () => movePattern(index, 1),
+                index === customPatternDefinitions.length - 1));
+            item.appendChild(createActionButton('✕', I18n.t('actionRemove'), () => removePattern(index)));
+
+            patternList.appendChild(item);
+        });
+    }
+
+    /**
+     * カスタム検出パターンを追加する
+     */
+    async function handleAddPattern() {
+        const source = patternSourceInput?.value || '';
+        const flags = patternFlagsInput?.value.trim() || '';
+
+        const { error } = Detection.compileCustomPattern(source, flags);
+        if (error) {
+            showError(patternError, error);
+            return;
+        }
+
+        hideError(patternError);
+        customPatternDefinitions.push({
+            id: crypto.randomUUID(),
+            source,
+            flags,
+            enabled: true
+        });
+
+        if (patternSourceInput) patternSourceInput.value = '';
+        if (patternFlagsInput) patternFlagsInput.value = '';
+        await saveCustomPatterns();
+    }
+
+    /**
+     * カスタム検出パターンの優先順を入れ替える
+     * @param {number} index - 対象のインデックス
+     * @param {number} delta - 移動量（-1: 上へ, 1: 下へ）
+     */
+    function movePattern(index, delta) {
+        const target = index + delta;
+        if (target < 0 || target >= customPatternDefinitions.length) return;
+
+        const [definition] = customPatternDefinitions.splice(index, 1);
+        customPatternDefinitions.splice(target, 0, definition);
+        saveCustomPatterns();
+    }
+
+    /**
+     * カスタム検出パターンを削除する
+     * @param {number} index - 対象のインデックス
+     */
+    function removePattern(index) {
+        customPatternDefinitions.splice(index, 1);
+        saveCustomPatterns();
+    }
+
+    /**
+     * テスト用の本文から検出されるワールド名をプレビュー表示する
+     * 入力中のパターンがあれば最優先で試す
+     */
+    function updatePatternPreview() {
+        if (!patternPreview) return;
+
+        const text = patternSample?.value || '';
+        if (!text.trim()) {
+            patternPreview.textContent = '';
+            return;
+        }
+
+        /** @type {{pattern: RegExp, label: string}[]} */
+        const labeled = [];
+
+        const draftSource = patternSourceInput?.value || '';
+        if (draftSource) {
+            const { pattern } = Detection.compileCustomPattern(draftSource, patternFlagsInput?.value.trim() || '');
+            if (pattern) {
+                labeled.push({ pattern, label: I18n.t('patternDraft') });
+            }
+        }
+
+        customPatternDefinitions.forEach((definition, index) => {
+            if (definition.enabled === false) return;
+            const { pattern } = Detection.compileCustomPattern(definition.source, definition.flags);
+            if (pattern) {
+                labeled.push({ pattern, label: I18n.t('patternCustom', index + 1) });
+            }
+        });
+
+        const result = Detection.matchWorlds(text, labeled.map(entry => entry.pattern));
+        if (result.worlds.length === 0) {
+            patternPreview.textContent = I18n.t('patternNotDetected');
+            return;
+        }
+
+        const names = result.worlds
+            .map(world => world.authorName
+                ? I18n.t('patternDetectedWorldByAuthor', [world.worldName, world.authorName])
+                : I18n.t('patternDetectedWorld', world.worldName))
+            .join(I18n.t('patternDetectedSeparator'));
+        const matched = result.isCustom
+            ? labeled.find(entry => entry.pattern === result.pattern)?.label
+            : I18n.t('patternDefault');
+        patternPreview.textContent = I18n.t('patternDetected', [names, matched]);
+    }
+
+    // ============================================================================
+    // 履歴関連
+    // ============================================================================
+
+    /**
+     * 履歴の保存件数の設定を読み込む
+     */
+    async function loadHistoryLimit() {
+        if (!historyLimitSelect) return;
+
+        try {
+            const result = await Settings.get([STORAGE_KEYS.HISTORY_LIMIT]);
+            historyLimitSelect.value = String(result[STORAGE_KEYS.HISTORY_LIMIT] || DEFAULT_HISTORY_LIMIT);
+        } catch {
+            historyLimitSelect.value = String(DEFAULT_HISTORY_LIMIT);
+        }
+    }
+
+    /**
+     * 履歴の保存件数を変更する（超えた分は古い順に削除される）
+     */
+    async function handleHistoryLimitChange() {
+        try {
+            await chrome.runtime.sendMessage({
+                action: ACTIONS.SET_HISTORY_LIMIT,
+                limit: Number(historyLimitSelect.value)
+            });
+        } catch (e) {
+            console.error('保存件数の変更に失敗しました', e);
+        }
+        await loadHistoryLimit();
+    }
+
+    // ============================================================================
+    // キーボードショートカット関連
+    // ============================================================================
+
+    /**
+     * 登録されているショートカットを表示する（キーはChromeのショートカット設定で変更できる）
+     */
+    async function loadShortcuts() {
+        if (!shortcutList) return;
+
+        let commands = [];
+        try {
+            commands = await chrome.commands.getAll();
+        } catch {
+            // 取得できない場合は一覧なし
+        }
+
+        shortcutList.replaceChildren(...commands
+            .filter(command => command.description)
+            .map((command) => {
+                const item = document.createElement('li');
+                const description = document.createElement('span');
+                // 説明はブラウザの言語で返されるため、表示言語を設定した場合に合わせて取り直す
+                description.textContent = I18n.t(SHORTCUT_DESCRIPTION_KEYS[command.name]) || command.description;
+                const shortcut = document.createElement('kbd');
+                shortcut.textContent = command.shortcut || I18n.t('shortcutUnset');
+                item.append(description, shortcut);
+                return item;
+            }));
+    }
+
+    /**
+     * Chromeのショートカット設定ページを開く
+     */
+    function openShortcutSettings() {
+        chrome.tabs.create({ url: SHORTCUT_SETTINGS_URL });
+    }
+
+    // ============================================================================
+    // キャッシュ関連
+    // ============================================================================
+
+    /**
+     * キャッシュ件数を表示する
+     */
+    async function loadCacheStats() {
+        if (!cacheStats) return;
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: ACTIONS.GET_WORLD_CACHE_STATS });
+            const cacheCount = response?.cacheCount || 0;
+            const choiceCount = response?.choiceCount || 0;
+            cacheStats.textContent = I18n.t('cacheStats', [cacheCount, choiceCount]);
+        } catch {
+            cacheStats.textContent = '';
+        }
+    }
+
+    /**
+     * キャッシュクリア処理
+     */
+    async function handleClearCache() {
+        if (clearCacheBtn) {
+            clearCacheBtn.disabled = true;
+            clearCacheBtn.textContent = BUTTON_TEXT.CLEARING_CACHE;
+        }
+
+        try {
+            await chrome.runtime.sendMessage({ action: ACTIONS.CLEAR_WORLD_CACHE });
+        } catch (e) {
+            console.error('キャッシュのクリアに失敗しました', e);
+        } finally {
+            if (clearCacheBtn) {
+                clearCacheBtn.disabled = false;
+                clearCacheBtn.textContent = BUTTON_TEXT.CLEAR_CACHE;
+            }
+            await loadCacheStats();
+        }
+    }
+
+    // ============================================================================
+    // バックアップ関連
+    // ============================================================================
+
+    /**
+     * 設定と履歴をJSONファイルとしてダウンロードする
+     */
+    async function handleExportBackup() {
+        hideError(backupError);
+        backupStatus?.classList.add('hidden');
+
+        try {
+            const backup = await Settings.exportBackup();
+            const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${BACKUP_FILE_PREFIX}-${backup.exportedAt.slice(0, 10)}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (e) {
+            showError(backupError, I18n.t('errorExportBackup', e.message));
+        }
+    }
+
+    /**
+     * 選んだJSONファイルから設定と履歴を読み込む
+     * 設定は上書きし、履歴は今の履歴とまとめる（まとめる処理はService Workerが行う）
+     */
+    async function handleImportBackup() {
+        const file = importBackupFile?.files[0];
+        if (!file) return;
+        // 同じファイルを続けて選んでも change が発生するようにする
+        importBackupFile.value = '';
+
+        hideError(backupError);
+        backupStatus?.classList.add('hidden');
+
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch {
+            showError(backupError, I18n.t('errorBackupJson'));
+            return;
+        }
+
+        const backup = Settings.readBackup(data);
+        if (!backup) {
+            showError(backupError, I18n.t('errorBackupFormat'));
+            return;
+        }
+        if (!confirm(I18n.t('confirmImportBackup'))) {
+            return;
+        }
+
+        try {
+            const current = await Settings.get([I18n.STORAGE_KEY]);
+            const localOnly = await Settings.set(backup.settings);
+            const response = await chrome.runtime.sendMessage({
+                action: ACTIONS.IMPORT_HISTORY,
+                entries: backup.history
+            });
+            if (!response || !response.success) {
+                showError(backupError, response?.error || I18n.t('errorUnexpected'));
+            } else if (localOnly.length > 0) {
+                showError(backupError, I18n.t('noteSavedLocally'));
+            }
+
+            // 表示言語が変わった場合は、このページも読み込み直して切り替える
+            const language = backup.settings[I18n.STORAGE_KEY];
+            if (language !== undefined && language !== current[I18n.STORAGE_KEY]) {
+                location.reload();
+                return;
+            }
+
+            await loadAll();
+            if (backupStatus) {
+                backupStatus.textContent = I18n.t('backupImported', [
+                    Object.keys(backup.settings).length,
+                    response?.count || 0
+                ]);
+                backupStatus.classList.remove('hidden');
+            }
+        } catch (e) {
+            showError(backupError, Settings.isQuotaError(e) ? I18n.t('errorSyncQuota') : I18n.t('errorImportBackup', e.message));
+        }
+    }
+
+    // ============================================================================
+    // イベントリスナー設定
+    // ============================================================================
+
+    // ボタンクリック
+    clearCacheBtn?.addEventListener('click', handleClearCache);
+    shortcutSettingsBtn?.addEventListener('click', openShortcutSettings);
+    patternAddBtn?.addEventListener('click', handleAddPattern);
+    hashtagAddBtn?.addEventListener('click', handleAddHashtag);
+    misskeyHostAddBtn?.addEventListener('click', handleAddMisskeyHost);
+    sitePermissionBtn?.addEventListener('click', handleGrantSites);
+    hashtagResetBtn?.addEventListener('click', resetHashtags);
+    exportBackupBtn?.addEventListener('click', handleExportBackup);
+    importBackupBtn?.addEventListener('click', () => importBackupFile?.click());
+
+    // 設定変更イベント
+    uiLanguageSelect?.addEventListener('change', handleUiLanguageChange);
+    showOpenBtnToggle?.addEventListener('change', updateSettings);
+    showSearchBtnToggle?.addEventListener('change', updateSettings);
+    pickCandidatesToggle?.addEventListener('change', updateSettings);
+    showInviteBtnToggle?.addEventListener('change', updateSettings);
+    instanceTypeSelect?.addEventListener('change', updateSettings);
+    instanceRegionSelect?.addEventListener('change', updateSettings);
+    instanceGroupIdInput?.addEventListener('change', updateSettings);
+    showFavoriteBtnToggle?.addEventListener('change', updateSettings);
+    matchAnyPostToggle?.addEventListener('change', updateSettings);
+    myPlatformSelect?.addEventListener('change', updateSettings);
+    platformMismatchModeSelect?.addEventListener('change', updateSettings);
+    blueskyToggle?.addEventListener('change', handleBlueskyToggle);
+    favoriteGroupSelect?.addEventListener('change', saveFavoriteGroup);
+    favoriteGroupRefreshBtn?.addEventListener('click', () => loadFavoriteGroups(true));
+    historyLimitSelect?.addEventListener('change', handleHistoryLimitChange);
+    importBackupFile?.addEventListener('change', handleImportBackup);
+
+    // Enterキーで追加
+    misskeyHostInput?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') handleAddMisskeyHost();
+    });
+    hashtagInput?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') handleAddHashtag();
+    });
+    patternSourceInput?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') handleAddPattern();
+    });
+
+    // 検出パターンのプレビュー更新
+    patternSample?.addEventListener('input', updatePatternPreview);
+    patternSourceInput?.addEventListener('input', updatePatternPreview);
+    patternFlagsInput?.addEventListener('input', updatePatternPreview);
+
+    // ポップアップでログイン・ログアウトしたら、お気に入りグループの選択肢を読み込み直す
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName === 'local' && changes[STORAGE_KEYS.IS_AUTHENTICATED]) {
+            loadFavoriteGroups();
+        }
+    });
+
+    // ============================================================================
+    // 初期化
+    // ============================================================================
+
+    /**
+     * すべての設定を読み込んで表示する
+     */
+    async function loadAll() {
+        await loadSettings();
+        await loadSiteSettings();
+        await updateSitePermission();
+        await loadTargetHashtags();
+        await loadCustomPatterns();
+        await loadHistoryLimit();
+        await loadFavoriteGroups();
+    }
+
+    for (const option of historyLimitSelect?.options || []) {
+        option.textContent = I18n.t('historyLimitOption', option.value);
+    }
+
+    await loadAll();
+    await loadShortcuts();
+    await loadCacheStats();
+});
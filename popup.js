@@ -8,11 +8,38 @@ document.addEventListener('DOMContentLoaded', async () => {
     // 定数定義
     // ============================================================================
 
-    /** ストレージキー */
-    const STORAGE_KEYS = {
-        EXTENSION_ENABLED: 'extensionEnabled',
-        SHOW_OPEN_BTN: 'showOpenBtn',
-        SHOW_SEARCH_BTN: 'showSearchBtn'
+    /** 設定の読み書き（settings.js） */
+    const Settings = globalThis.VRCWorldSettings;
+
+    /** 表示する文字列（i18n.js） */
+    const I18n = globalThis.VRCWorldI18n;
+
+    // 以降の定数・画面の文字列は、設定した表示言語を読み込んでから作る
+    await I18n.init();
+    I18n.localizeDocument();
+
+    /** ストレージキー（settings.js） */
+    const STORAGE_KEYS = Settings.STORAGE_KEYS;
+
+    /** 履歴一覧に一度に表示する最大件数 */
+    const HISTORY_DISPLAY_MAX = 100;
+
+    /** 履歴の種類ごとの表示名 */
+    const HISTORY_TYPE_LABELS = {
+        open: I18n.t('historyTypeOpen'),
+        search: I18n.t('historyTypeSearch'),
+        invite: I18n.t('historyTypeInvite'),
+        favorite: I18n.t('historyTypeFavorite')
+    };
+
+    /** VRChat WebサイトURL */
+    const VRCHAT_WEB_BASE = 'https://vrchat.com/home';
+
+    /** ヘルスチェックで見つからなかった要素の表示名 */
+    const HEALTH_ELEMENT_LABELS = {
+        POST: I18n.t('healthElementPost'),
+        TEXT: I18n.t('healthElementText'),
+        ACTION_BAR: I18n.t('healthElementActionBar')
     };
 
     /** メッセージアクション */
@@ -21,9 +48,46 @@ document.addEventListener('DOMContentLoaded', async () => {
         LOGIN: 'login',
         VERIFY_2FA: 'verify2FA',
         LOGOUT: 'logout',
+        SEARCH_WORLD: 'searchWorld',
+        DELETE_HISTORY: 'deleteHistory',
+        CLEAR_HISTORY: 'clearHistory'
+    };
 
-
-        UPDATE_SETTINGS: 'updateSettings'
+    /** 再ログイン用のウィンドウとして開かれたかどうか（ボタンからログインが必要になった場合） */
+    const IS_RELOGIN_MODE = new URLSearchParams(location.search).has('relogin');
+
+    /** 2FAの方式ごとの表示とコードの形式（優先順。requiresTwoFactorAuth で返される値） */
+    const TWO_FACTOR_METHODS = {
+        totp: {
+            label: I18n.t('twofaMethodTotp'),
+            description: I18n.t('twofaDescriptionTotp'),
+            placeholder: '123456',
+            maxLength: 6,
+            inputMode: 'numeric',
+            htmlPattern: '[0-9]*',
+            pattern: /^\d{6}$/,
+            formatError: I18n.t('twofaFormatDigits')
+        },
+        emailOtp: {
+            label: I18n.t('twofaMethodEmail'),
+            description: I18n.t('twofaDescriptionEmail'),
+            placeholder: '123456',
+            maxLength: 6,
+            inputMode: 'numeric',
+            htmlPattern: '[0-9]*',
+            pattern: /^\d{6}$/,
+            formatError: I18n.t('twofaFormatDigits')
+        },
+        otp: {
+            label: I18n.t('twofaMethodRecovery'),
+            description: I18n.t('twofaDescriptionRecovery'),
+            placeholder: 'xxxx-xxxx',
+            maxLength: 9,
+            inputMode: 'text',
+            htmlPattern: '[A-Za-z0-9\\-]*',
+            pattern: /^[a-z0-9]{4}-?[a-z0-9]{4}$/i,
+            formatError: I18n.t('twofaFormatRecovery')
+        }
     };
 
     /** UI状態 */
@@ -36,12 +100,14 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     /** ボタンテキスト */
     const BUTTON_TEXT = {
-        LOGIN: 'ログイン',
-        LOGGING_IN: 'ログイン中...',
-        AUTH: '認証',
-        AUTHENTICATING: '認証中...',
-        LOGOUT: 'ログアウト',
-        LOGGING_OUT: 'ログアウト中...'
+        LOGIN: I18n.t('buttonLogin'),
+        LOGGING_IN: I18n.t('buttonLoggingIn'),
+        AUTH: I18n.t('buttonVerify'),
+        AUTHENTICATING: I18n.t('buttonVerifying'),
+        RESEND: I18n.t('buttonResend'),
+        RESENDING: I18n.t('buttonResending'),
+        LOGOUT: I18n.t('buttonLogout'),
+        LOGGING_OUT: I18n.t('buttonLoggingOut')
     };
 
     // ============================================================================
@@ -60,10 +126,6 @@ document.addEventListener('DOMContentLoaded', async () => {
     const displayName = document.getElementById('display-name');
     /** @type {HTMLInputElement} */
     const enabledToggle = document.getElementById('enabled-toggle');
-    /** @type {HTMLInputElement} */
-    const showOpenBtnToggle = document.getElementById('show-open-btn-toggle');
-    /** @type {HTMLInputElement} */
-    const showSearchBtnToggle = document.getElementById('show-search-btn-toggle');
 
     /** @type {HTMLButtonElement} */
     const loginBtn = document.getElementById('login-btn');
@@ -73,6 +135,34 @@ document.addEventListener('DOMContentLoaded', async () => {
     const twofaBtn = document.getElementById('twofa-btn');
     /** @type {HTMLButtonElement} */
     const twofaCancelBtn = document.getElementById('twofa-cancel-btn');
+    /** @type {HTMLButtonElement} */
+    const twofaResendBtn = document.getElementById('twofa-resend-btn');
+    /** @type {HTMLElement} */
+    const twofaMethodGroup = document.getElementById('twofa-method-group');
+    /** @type {HTMLSelectElement} */
+    const twofaMethodSelect = document.getElementById('twofa-method');
+    /** @type {HTMLElement} */
+    const twofaDescription = document.getElementById('twofa-description');
+    /** @type {HTMLElement} */
+    const twofaStatus = document.getElementById('twofa-status');
+
+    /** @type {HTMLElement} */
+    const siteWarning = document.getElementById('site-warning');
+    /** @type {HTMLElement} */
+    const reloginNotice = document.getElementById('relogin-notice');
+    /** @type {HTMLButtonElement} */
+    const openOptionsBtn = document.getElementById('open-options-btn');
+
+    /** @type {HTMLInputElement} */
+    const historyQueryInput = document.getElementById('history-query');
+    /** @type {HTMLSelectElement} */
+    const historyTypeSelect = document.getElementById('history-type');
+    /** @type {HTMLUListElement} */
+    const historyList = document.getElementById('history-list');
+    /** @type {HTMLElement} */
+    const historyEmpty = document.getElementById('history-empty');
+    /** @type {HTMLButtonElement} */
+    const clearHistoryBtn = document.getElementById('clear-history-btn');
 
     /** @type {HTMLElement} */
     const loginError = document.getElementById('login-error');
@@ -90,78 +180,50 @@ document.addEventListener('DOMContentLoaded', async () => {
     // 状態管理
     // ============================================================================
 
-    /** @type {string[]|null} 2FA認証タイプ */
-    let twoFactorAuthType = null;
+    /** @type {string[]} 使える2FAの方式（優先順） */
+    let twoFactorMethods = [];
+
+    /** @type {object[]} 開いた・検索したワールドの履歴（新しい順） */
+    let historyEntries = [];
 
     // ============================================================================
     // ユーティリティ関数
     // ============================================================================
 
     /**
-     * 設定を読み込む
+     * 設定を読み込む（その他の設定は設定ページで変更する）
      */
     async function loadSettings() {
         try {
-            const keys = [
-                STORAGE_KEYS.EXTENSION_ENABLED,
-                STORAGE_KEYS.SHOW_OPEN_BTN,
-                STORAGE_KEYS.SHOW_SEARCH_BTN
-            ];
-            const result = await chrome.storage.local.get(keys);
-
+            const result = await Settings.get([STORAGE_KEYS.EXTENSION_ENABLED]);
             // デフォルトはtrue
             enabledToggle.checked = result[STORAGE_KEYS.EXTENSION_ENABLED] !== false;
-            if (showOpenBtnToggle) showOpenBtnToggle.checked = result[STORAGE_KEYS.SHOW_OPEN_BTN] !== false;
-            if (showSearchBtnToggle) showSearchBtnToggle.checked = result[STORAGE_KEYS.SHOW_SEARCH_BTN] !== false;
         } catch {
             // エラー時はデフォルトで有効
             enabledToggle.checked = true;
-            if (showOpenBtnToggle) showOpenBtnToggle.checked = true;
-            if (showSearchBtnToggle) showSearchBtnToggle.checked = true;
         }
     }
 
     /**
-     * 設定を更新する
+     * 設定を更新する（コンテンツスクリプトはストレージの変更を監視して反映する）
      */
     async function updateSettings() {
-        const settings = {
-            [STORAGE_KEYS.EXTENSION_ENABLED]: enabledToggle.checked,
-            [STORAGE_KEYS.SHOW_OPEN_BTN]: showOpenBtnToggle ? showOpenBtnToggle.checked : true,
-            [STORAGE_KEYS.SHOW_SEARCH_BTN]: showSearchBtnToggle ? showSearchBtnToggle.checked : true
-        };
-
         try {
-            await chrome.storage.local.set(settings);
-
-            // 対象タブ（Twitter/X）のみにメッセージを送信
-            const tabs = await chrome.tabs.query({
-                url: [
-                    "https://twitter.com/*",
-                    "https://x.com/*"
-                ]
-            });
-
-            const sendMessagePromises = tabs.map(async (tab) => {
-                try {
-                    if (tab.id) {
-                        await chrome.tabs.sendMessage(tab.id, {
-                            action: ACTIONS.UPDATE_SETTINGS,
-                            settings: settings
-                        });
-                    }
-                } catch (e) {
-                    // タブが読み込み中などで受信できない場合は警告ログ
-                    console.warn(`タブ(ID: ${tab.id})へのメッセージ送信に失敗:`, e);
-                }
-            });
-            await Promise.all(sendMessagePromises);
+            await Settings.set({ [STORAGE_KEYS.EXTENSION_ENABLED]: enabledToggle.checked });
         } catch (e) {
             console.error('設定の保存に失敗しました', e);
-            // エラー時のロールバックは複雑になるため省略（再読み込みすれば戻る）
+            // 保存できなかった場合は保存されている値に戻す
+            await loadSettings();
         }
     }
 
+    /**
+     * 設定ページを開く
+     */
+    function openOptionsPage() {
+        chrome.runtime.openOptionsPage();
+    }
+
     /**
      * UI状態を切り替える
      * @param {string} state - 表示する状態
@@ -219,6 +281,244 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (twofaCodeInput) twofaCodeInput.value = '';
     }
 
+    // ============================================================================
+    // 対応サイト関連
+    // ============================================================================
+
+    /**
+     * サイトのDOM変更が疑われる場合に警告を表示する
+     */
+    async function loadSelectorHealth() {
+        if (!siteWarning) return;
+
+        let health = {};
+        try {
+            const result = await chrome.storage.local.get([STORAGE_KEYS.SELECTOR_HEALTH]);
+            health = result[STORAGE_KEYS.SELECTOR_HEALTH] || {};
+        } catch {
+            // 取得できない場合は警告なし
+        }
+
+        const labels = (names) => names.map(name => HEALTH_ELEMENT_LABELS[name] || name).join(I18n.t('enumerationSeparator'));
+        const messages = [];
+        let isBroken = false;
+        for (const site of Object.values(health)) {
+            if (site.status === 'broken') {
+                isBroken = true;
+                messages.push(I18n.t('healthBroken', [site.siteName, labels(site.missing)]));
+            } else if (site.status === 'fallback') {
+                messages.push(I18n.t('healthFallback', [site.siteName, labels(site.fallbacks)]));
+            }
+        }
+
+        siteWarning.replaceChildren(...messages.map((message) => {
+            const p = document.createElement('p');
+            p.textContent = message;
+            return p;
+        }));
+        siteWarning.classList.toggle('broken', isBroken);
+        siteWarning.classList.toggle('hidden', messages.length === 0);
+    }
+
+    // ============================================================================
+    // 履歴関連
+    // ============================================================================
+
+    /**
+     * 一覧の項目に付ける小さな操作ボタン（並べ替え・削除・開くなど）を作成する
+     * @param {string} text - ボタンの表示テキスト
+     * @param {string} label - aria-label
+     * @param {Function} onClick - クリック時の処理
+     * @param {boolean} [disabled] - 無効にするかどうか
+     * @returns {HTMLButtonElement} 作成されたボタン要素
+     */
+    function createActionButton(text, label, onClick, disabled = false) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'pattern-action';
+        button.textContent = text;
+        button.title = label;
+        button.setAttribute('aria-label', label);
+        button.disabled = disabled;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * 履歴を読み込んで表示する（保存件数は設定ページで変更する）
+     */
+    async function loadHistory() {
+        try {
+            const result = await chrome.storage.local.get([STORAGE_KEYS.WORLD_HISTORY]);
+            historyEntries = Array.isArray(result[STORAGE_KEYS.WORLD_HISTORY]) ? result[STORAGE_KEYS.WORLD_HISTORY] : [];
+        } catch (e) {
+            console.error('履歴の読み込みに失敗しました', e);
+            historyEntries = [];
+        }
+        renderHistory();
+    }
+
+    /**
+     * 検索語と種類で絞り込んだ履歴を取得する
+     * @returns {object[]} 絞り込んだ履歴
+     */
+    function filterHistory() {
+        const query = (historyQueryInput?.value || '').trim().toLowerCase();
+        const type = historyTypeSelect?.value || '';
+
+        return historyEntries.filter((entry) => {
+            if (type && entry.type !== type) {
+                return false;
+            }
+            if (!query) {
+                return true;
+            }
+            return [entry.worldName, entry.authorName, entry.tweetAuthor, entry.worldId]
+                .some(value => value && value.toLowerCase().includes(query));
+        });
+    }
+
+    /**
+     * 履歴の一覧を描画する
+     */
+    function renderHistory() {
+        if (!historyList) return;
+
+        const filtered = filterHistory();
+        historyList.replaceChildren(...filtered.slice(0, HISTORY_DISPLAY_MAX).map(createHistoryItem));
+
+        if (historyEmpty) {
+            historyEmpty.classList.toggle('hidden', filtered.length > 0);
+            historyEmpty.textContent = historyEntries.length > 0
+                ? I18n.t('historyNoMatch')
+                : I18n.t('historyEmpty');
+        }
+        if (filtered.length > HISTORY_DISPLAY_MAX) {
+            const more = document.createElement('li');
+            more.className = 'history-more';
+            more.textContent = I18n.t('historyMore', filtered.length - HISTORY_DISPLAY_MAX);
+            historyList.appendChild(more);
+        }
+    }
+
+    /**
+     * 履歴1件分の要素を作成する
+     * @param {object} entry - 履歴
+     * @returns {HTMLLIElement} 作成された要素
+     */
+    function createHistoryItem(entry) {
+        const item = document.createElement('li');
+        item.className = 'history-item';
+
+        const body = document.createElement('div');
+        body.className = 'history-body';
+
+        const name = document.createElement('p');
+        name.className = 'history-name';
+        name.textContent = entry.worldName || entry.worldId;
+        name.title = entry.worldId || entry.worldName;
+        body.appendChild(name);
+
+        const meta = document.createElement('p');
+        meta.className = 'history-meta';
+        const parts = [
+            HISTORY_TYPE_LABELS[entry.type] || entry.type,
+            new Date(entry.timestamp).toLocaleString(I18n.getLanguage(), {
+                month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit'
+            })
+        ];
+        if (entry.authorName) {
+            parts.push(I18n.t('worldAuthor', entry.authorName));
+        }
+        meta.textContent = parts.join(I18n.t('listSeparator'));
+
+        if (entry.tweetUrl) {
+            const tweetLink = document.createElement('a');
+            tweetLink.href = entry.tweetUrl;
+            tweetLink.target = '_blank';
+            tweetLink.rel = 'noopener';
+            tweetLink.textContent = entry.tweetAuthor || I18n.t('historyPost');
+            tweetLink.title = I18n.t('historyOpenPost');
+            meta.append(I18n.t('listSeparator'), tweetLink);
+        }
+        body.appendChild(meta);
+        item.appendChild(body);
+
+        item.appendChild(createActionButton('🔗', I18n.t('actionOpenWorld'), () => openHistoryWorld(entry)));
+        item.appendChild(createActionButton('🔍', I18n.t('actionSearchWorld'), () => openHistorySearch(entry), !entry.worldName));
+        item.appendChild(createActionButton('✕', I18n.t('actionRemoveHistory'), () => deleteHistoryEntry(entry.id)));
+
+        return item;
+    }
+
+    /**
+     * 履歴のワールドを開く（ワールドIDがなければワールド名で解決する）
+     * @param {object} entry - 履歴
+     */
+    async function openHistoryWorld(entry) {
+        if (entry.worldId) {
+            await chrome.tabs.create({ url: `${VRCHAT_WEB_BASE}/world/${entry.worldId}` });
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: ACTIONS.SEARCH_WORLD,
+                worldName: entry.worldName,
+                authorName: entry.authorName
+            });
+            if (response && response.success && response.worldId) {
+                await chrome.tabs.create({ url: `${VRCHAT_WEB_BASE}/world/${response.worldId}` });
+                return;
+            }
+        } catch (e) {
+            console.error('ワールドの検索に失敗しました', e);
+        }
+
+        // 特定できない場合（未ログインなど）は検索ページで代用する
+        await openHistorySearch(entry);
+    }
+
+    /**
+     * 履歴のワールド名でVRChatの検索ページを開く
+     * @param {object} entry - 履歴
+     */
+    async function openHistorySearch(entry) {
+        if (!entry.worldName) return;
+        await chrome.tabs.create({
+            url: `${VRCHAT_WEB_BASE}/search/worlds/${encodeURIComponent(entry.worldName)}`
+        });
+    }
+
+    /**
+     * 履歴を1件削除する
+     * @param {string} id - 履歴ID
+     */
+    async function deleteHistoryEntry(id) {
+        try {
+            await chrome.runtime.sendMessage({ action: ACTIONS.DELETE_HISTORY, id });
+        } catch (e) {
+            console.error('履歴の削除に失敗しました', e);
+        }
+        await loadHistory();
+    }
+
+    /**
+     * 履歴をすべて削除する
+     */
+    async function handleClearHistory() {
+        if (historyEntries.length === 0 || !confirm(I18n.t('confirmClearHistory'))) {
+            return;
+        }
+
+        try {
+            await chrome.runtime.sendMessage({ action: ACTIONS.CLEAR_HISTORY });
+        } catch (e) {
+            console.error('履歴の削除に失敗しました', e);
+        }
+        await loadHistory();
+    }
+
     // ============================================================================
     // 認証関連
     // ============================================================================
@@ -232,7 +532,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
             if (response && response.isAuthenticated) {
                 if (displayName) {
-                    displayName.textContent = response.displayName || 'ログイン中';
+                    displayName.textContent = response.displayName || I18n.t('loggedInFallbackName');
                 }
                 showState(UI_STATE.LOGGED_IN);
             } else {
@@ -251,7 +551,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         const password = passwordInput?.value || '';
 
         if (!username || !password) {
-            showError(loginError, 'ユーザー名とパスワードを入力してください');
+            showError(loginError, I18n.t('errorCredentialsRequired'));
             return;
         }
 
@@ -275,13 +575,12 @@ document.addEventListener('DOMContentLoaded', async () => {
                 }
                 showState(UI_STATE.LOGGED_IN);
             } else if (response && response.requires2FA) {
-                twoFactorAuthType = response.twoFactorAuthType;
-                showState(UI_STATE.TWOFA);
+                showTwoFactorForm(response.twoFactorAuthType);
             } else {
-                showError(loginError, response?.error || 'ログインに失敗しました');
+                showError(loginError, response?.error || I18n.t('errorLoginFailed'));
             }
         } catch (error) {
-            const errorMessage = error instanceof Error ? error.message : 'エラーが発生しました';
+            const errorMessage = error instanceof Error ? error.message : I18n.t('errorUnexpected');
             showError(loginError, errorMessage);
         } finally {
             if (loginBtn) {
@@ -291,14 +590,120 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     }
 
+    /**
+     * 2FAフォームを表示する
+     * @param {string[]} methods - 使える2FAの方式
+     */
+    function showTwoFactorForm(methods) {
+        twoFactorMethods = Object.keys(TWO_FACTOR_METHODS).filter(method => methods.includes(method));
+
+        if (twofaMethodSelect) {
+            twofaMethodSelect.replaceChildren(...twoFactorMethods.map((method) => {
+                const option = document.createElement('option');
+                option.value = method;
+                option.textContent = TWO_FACTOR_METHODS[method].label;
+                return option;
+            }));
+        }
+        // 方式が1つだけの場合は選ぶ必要がない
+        twofaMethodGroup?.classList.toggle('hidden', twoFactorMethods.length <= 1);
+
+        hideError(twofaError);
+        twofaStatus?.classList.add('hidden');
+        updateTwoFactorMethod();
+        showState(UI_STATE.TWOFA);
+    }
+
+    /**
+     * 選択中の2FAの方式を取得する
+     * @returns {string} 2FAの方式
+     */
+    function getTwoFactorMethod() {
+        return twofaMethodSelect?.value || twoFactorMethods[0];
+    }
+
+    /**
+     * 選択中の2FAの方式に合わせて説明・入力欄・再送ボタンを切り替える
+     */
+    function updateTwoFactorMethod() {
+        const method = getTwoFactorMethod();
+        const config = TWO_FACTOR_METHODS[method];
+        if (!config) return;
+
+        if (twofaDescription) twofaDescription.textContent = config.description;
+        if (twofaCodeInput) {
+            twofaCodeInput.value = '';
+            twofaCodeInput.placeholder = config.placeholder;
+            twofaCodeInput.maxLength = config.maxLength;
+            twofaCodeInput.inputMode = config.inputMode;
+            twofaCodeInput.pattern = config.htmlPattern;
+        }
+        twofaResendBtn?.classList.toggle('hidden', method !== 'emailOtp');
+        hideError(twofaError);
+    }
+
+    /**
+     * メールの認証コードを再送する
+     * VRChatは再ログイン時にコードを送り直すため、ログインフォームに残っている入力でログインし直す
+     */
+    async function handleResendCode() {
+        const username = usernameInput?.value.trim() || '';
+        const password = passwordInput?.value || '';
+
+        if (!username || !password) {
+            showError(twofaError, I18n.t('errorResendNeedsLogin'));
+            return;
+        }
+
+        hideError(twofaError);
+        twofaStatus?.classList.add('hidden');
+
+        if (twofaResendBtn) {
+            twofaResendBtn.disabled = true;
+            twofaResendBtn.textContent = BUTTON_TEXT.RESENDING;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: ACTIONS.LOGIN,
+                username,
+                password
+            });
+
+            if (response && response.requires2FA) {
+                if (twofaStatus) {
+                    twofaStatus.textContent = I18n.t('twofaResent');
+                    twofaStatus.classList.remove('hidden');
+                }
+            } else if (response && response.success) {
+                await checkAuth();
+            } else {
+                showError(twofaError, response?.error || I18n.t('errorResend'));
+            }
+        } catch (error) {
+            const errorMessage = error instanceof Error ? error.message : I18n.t('errorUnexpected');
+            showError(twofaError, errorMessage);
+        } finally {
+            if (twofaResendBtn) {
+                twofaResendBtn.disabled = false;
+                twofaResendBtn.textContent = BUTTON_TEXT.RESEND;
+            }
+        }
+    }
+
     /**
      * 2FA認証処理
      */
     async function handle2FA() {
-        const code = twofaCodeInput?.value.trim() || '';
+        const code = twofaCodeInput?.value.replace(/\s/g, '') || '';
+        const method = getTwoFactorMethod();
 
         if (!code) {
-            showError(twofaError, '認証コードを入力してください');
+            showError(twofaError, I18n.t('errorCodeRequired'));
+            return;
+        }
+        if (TWO_FACTOR_METHODS[method] && !TWO_FACTOR_METHODS[method].pattern.test(code)) {
+            showError(twofaError, TWO_FACTOR_METHODS[method].formatError);
             return;
         }
 
@@ -313,16 +718,16 @@ document.addEventListener('DOMContentLoaded', async () => {
             const response = await chrome.runtime.sendMessage({
                 action: ACTIONS.VERIFY_2FA,
                 code,
-                authType: twoFactorAuthType
+                method
             });
 
             if (response && response.success) {
                 await checkAuth();
             } else {
-                showError(twofaError, response?.error || '認証に失敗しました');
+                showError(twofaError, response?.error || I18n.t('errorVerifyFailed'));
             }
         } catch (error) {
-            const errorMessage = error instanceof Error ? error.message : 'エラーが発生しました';
+            const errorMessage = error instanceof Error ? error.message : I18n.t('errorUnexpected');
             showError(twofaError, errorMessage);
         } finally {
             if (twofaBtn) {
@@ -362,7 +767,8 @@ document.addEventListener('DOMContentLoaded', async () => {
     function handleTwofaCancel() {
         showState(UI_STATE.LOGIN);
         if (twofaCodeInput) twofaCodeInput.value = '';
-        twoFactorAuthType = null;
+        twofaStatus?.classList.add('hidden');
+        twoFactorMethods = [];
     }
 
     // ============================================================================
@@ -374,12 +780,17 @@ document.addEventListener('DOMContentLoaded', async () => {
     logoutBtn?.addEventListener('click', handleLogout);
     twofaBtn?.addEventListener('click', handle2FA);
     twofaCancelBtn?.addEventListener('click', handleTwofaCancel);
-
+    twofaResendBtn?.addEventListener('click', handleResendCode);
+    clearHistoryBtn?.addEventListener('click', handleClearHistory);
+    openOptionsBtn?.addEventListener('click', openOptionsPage);
 
     // 設定変更イベント
     enabledToggle?.addEventListener('change', updateSettings);
-    showOpenBtnToggle?.addEventListener('change', updateSettings);
-    showSearchBtnToggle?.addEventListener('change', updateSettings);
+    twofaMethodSelect?.addEventListener('change', updateTwoFactorMethod);
+
+    // 履歴の絞り込み
+    historyQueryInput?.addEventListener('input', renderHistory);
+    historyTypeSelect?.addEventListener('change', renderHistory);
 
     // Enterキーでフォーム送信
     passwordInput?.addEventListener('keypress', (e) => {
@@ -394,6 +805,10 @@ document.addEventListener('DOMContentLoaded', async () => {
     // 初期化
     // ============================================================================
 
+    reloginNotice?.classList.toggle('hidden', !IS_RELOGIN_MODE);
+
     await loadSettings();
+    await loadSelectorHealth();
+    await loadHistory();
     await checkAuth();
 });
@@ -0,0 +1,317 @@
+// VRC World Opener - Settings Storage
+// ストレージキーと設定の読み書き（全画面・Service Worker・Node.jsのテストで共用）
+// ログイン情報を含まない設定は chrome.storage.sync に保存し、同じGoogleアカウントのPCで共有する
+
+'use strict';
+
+(function (global) {
+    // ============================================================================
+    // 定数定義
+    // ============================================================================
+
+    /** ストレージキー */
+    const STORAGE_KEYS = Object.freeze({
+        // chrome.storage.sync（SYNC_KEYS に含まれるもの）
+        EXTENSION_ENABLED: 'extensionEnabled',
+        SHOW_OPEN_BTN: 'showOpenBtn',
+        SHOW_SEARCH_BTN: 'showSearchBtn',
+        PICK_CANDIDATES: 'pickCandidates',
+        SHOW_INVITE_BTN: 'showInviteBtn',
+        INSTANCE_TYPE: 'instanceType',
+        INSTANCE_REGION: 'instanceRegion',
+        INSTANCE_GROUP_ID: 'instanceGroupId',
+        SHOW_FAVORITE_BTN: 'showFavoriteBtn',
+        FAVORITE_GROUP: 'favoriteGroup',
+        CUSTOM_PATTERNS: 'customPatterns',
+        TARGET_HASHTAGS: 'targetHashtags',
+        MATCH_ANY_POST: 'matchAnyPost',
+        MY_PLATFORM: 'myPlatform',
+        PLATFORM_MISMATCH_MODE: 'platformMismatchMode',
+        HISTORY_LIMIT: 'historyLimit',
+        ENABLE_BLUESKY: 'enableBluesky',
+        MISSKEY_HOSTS: 'misskeyHosts',
+        UI_LANGUAGE: 'uiLanguage',
+
+        // chrome.storage.local（ログイン状態・キャッシュ・履歴など、このPCだけのもの）
+        IS_AUTHENTICATED: 'isAuthenticated',
+        DISPLAY_NAME: 'displayName',
+        WORLD_CHOICES: 'worldChoices',
+        WORLD_CACHE: 'worldCache',
+        FAVORITE_GROUPS_CACHE: 'favoriteGroupsCache',
+        FAVORITE_WORLDS_CACHE: 'favoriteWorldsCache',
+        WORLD_HISTORY: 'worldHistory',
+        SELECTOR_HEALTH: 'selectorHealth',
+        SESSION_EXPIRED: 'sessionExpired',
+
+        // chrome.storage.session（ブラウザを閉じると消える）
+        PENDING_LOOKUPS: 'pendingLookups',
+        RELOGIN_WINDOW_ID: 'reloginWindowId'
+    });
+
+    /** chrome.storage.sync に保存する設定 */
+    const SYNC_KEYS = Object.freeze([
+        STORAGE_KEYS.EXTENSION_ENABLED,
+        STORAGE_KEYS.SHOW_OPEN_BTN,
+        STORAGE_KEYS.SHOW_SEARCH_BTN,
+        STORAGE_KEYS.PICK_CANDIDATES,
+        STORAGE_KEYS.SHOW_INVITE_BTN,
+        STORAGE_KEYS.INSTANCE_TYPE,
+        STORAGE_KEYS.INSTANCE_REGION,
+        STORAGE_KEYS.INSTANCE_GROUP_ID,
+        STORAGE_KEYS.SHOW_FAVORITE_BTN,
+        STORAGE_KEYS.FAVORITE_GROUP,
+        STORAGE_KEYS.CUSTOM_PATTERNS,
+        STORAGE_KEYS.TARGET_HASHTAGS,
+        STORAGE_KEYS.MATCH_ANY_POST,
+        STORAGE_KEYS.MY_PLATFORM,
+        STORAGE_KEYS.PLATFORM_MISMATCH_MODE,
+        STORAGE_KEYS.HISTORY_LIMIT,
+        STORAGE_KEYS.ENABLE_BLUESKY,
+        STORAGE_KEYS.MISSKEY_HOSTS,
+        STORAGE_KEYS.UI_LANGUAGE
+    ]);
+
+    /**
+     * chrome.storage.sync の1項目あたりの上限（バイト、chrome.storage.sync.QUOTA_BYTES_PER_ITEM）
+     * キーとJSONにした値の長さの合計で数える
+     */
+    const SYNC_ITEM_MAX_BYTES = 8192;
+
+    /** エクスポートしたファイルの形式 */
+    const BACKUP_FORMAT = 'vrc-world-opener-backup';
+
+    /** エクスポートしたファイルの形式のバージョン（読み込めるのはこれ以下のもの） */
+    const BACKUP_VERSION = 1;
+
+    // ============================================================================
+    // ユーティリティ関数
+    // ============================================================================
+
+    /**
+     * chrome.storage.sync に保存する設定かどうか判定する
+     * @param {string} key - ストレージキー
+     * @returns {boolean} sync に保存する場合はtrue
+     */
+    function isSyncKey(key) {
+        return SYNC_KEYS.includes(key);
+    }
+
+    /**
+     * chrome.storage.sync の1項目の上限に収まるか判定する
+     * @param {string} key - ストレージキー
+     * @param {*} value - 保存する値
+     * @returns {boolean} 収まる場合はtrue
+     */
+    function fitsSyncItem(key, value) {
+        return new TextEncoder().encode(key + JSON.stringify(value)).length <= SYNC_ITEM_MAX_BYTES;
+    }
+
+    /**
+     * sync の容量・書き込み回数の上限を超えたエラーか判定する
+     * @param {*} error - 保存時のエラー
+     * @returns {boolean} 上限を超えたエラーの場合はtrue
+     */
+    function isQuotaError(error) {
+        return /quota/i.test(error?.message || '');
+    }
+
+    /**
+     * 保存する値を sync と local に振り分ける
+     * 大きすぎて sync の1項目に収まらない設定（長いカスタムパターンの一覧など）は local に保存する
+     * @param {object} items - ストレージキーと値
+     * @returns {{sync: object, local: object, localOnly: string[]}} 振り分けた値と、sync に収まらなかったキー
+     */
+    function splitByArea(items) {
+        const sync = {};
+        const local = {};
+        const localOnly = [];
+        for (const [key, value] of Object.entries(items)) {
+            if (!isSyncKey(key)) {
+                local[key] = value;
+            } else if (fitsSyncItem(key, value)) {
+                sync[key] = value;
+            } else {
+                local[key] = value;
+                localOnly.push(key);
+            }
+        }
+        return { sync, local, localOnly };
+    }
+
+    /**
+     * 変更の通知に、指定した設定の変更が含まれているか判定する（sync・local のどちらの変更も対象）
+     * @param {Object<string, chrome.storage.StorageChange>} changes - storage.onChanged の変更
+     * @param {string} areaName - 変更されたストレージ
+     * @param {string[]} keys - ストレージキー
+     * @returns {boolean} 含まれている場合はtrue
+     */
+    function hasChanges(changes, areaName, keys) {
+        if (areaName !== 'sync' && areaName !== 'local') {
+            return false;
+        }
+        return keys.some(key => Object.hasOwn(changes, key));
+    }
+
+    // ============================================================================
+    // 読み書き
+    // ============================================================================
+
+    /**
+     * 設定を読み込む
+     * sync にまだない設定は、移行前に local に保存されていた値を使う
+     * @param {string[]} keys - ストレージキー
+     * @returns {Promise<object>} ストレージキーと値
+     */
+    async function get(keys) {
+        const syncKeys = keys.filter(isSyncKey);
+        const [local, synced] = await Promise.all([
+            chrome.storage.local.get(keys),
+            syncKeys.length > 0 ? chrome.storage.sync.get(syncKeys) : {}
+        ]);
+        return { ...local, ...synced };
+    }
+
+    /**
+     * 設定を保存する（キーに応じて sync・local に振り分ける）
+     * sync に収まらなかった設定は、以前同期した値が優先されないよう sync から削除する（他のPCには同期されなくなる）
+     * @param {object} items - ストレージキーと値
+     * @returns {Promise<string[]>} sync に収まらず、このPCにのみ保存した設定のキー
+     */
+    async function set(items) {
+        const { sync, local, localOnly } = splitByArea(items);
+        await Promise.all([
+            Object.keys(sync).length > 0 ? chrome.storage.sync.set(sync) : null,
+            Object.keys(local).length > 0 ? chrome.storage.local.set(local) : null,
+            localOnly.length > 0 ? chrome.storage.sync.remove(localOnly) : null
+        ]);
+        return localOnly;
+    }
+
+    // ============================================================================
+    // local から sync への移行
+    // ============================================================================
+
+    /**
+     * local に残っている設定のうち、sync に書き込むものを選ぶ
+     * 別のPCで先に移行・変更した設定が sync にある場合は、そちらを優先する
+     * sync の1項目に収まらない設定は local に残す
+     * @param {object} localValues - local に保存されている設定
+     * @param {object} syncValues - sync に保存されている設定
+     * @returns {object} sync に書き込むストレージキーと値
+     */
+    function planMigration(localValues, syncValues) {
+        const items = {};
+        for (const key of SYNC_KEYS) {
+            if (localValues[key] !== undefined && syncValues[key] === undefined && fitsSyncItem(key, localValues[key])) {
+                items[key] = localValues[key];
+            }
+        }
+        return items;
+    }
+
+    /**
+     * 以前のバージョンで local に保存した設定を sync に移す
+     * 1項目ずつ書き込み、書き込めた設定と sync に既にある設定だけを local から削除する
+     * 書き込めなかった設定は local に残り（get は引き続き local の値を使う）、次回の更新時に再び移す
+     * @returns {Promise<void>}
+     */
+    async function migrateToSync() {
+        const localValues = await chrome.storage.local.get(SYNC_KEYS);
+        const remaining = SYNC_KEYS.filter(key => localValues[key] !== undefined);
+        if (remaining.length === 0) {
+            return;
+        }
+
+        const syncValues = await chrome.storage.sync.get(remaining);
+        const migrated = remaining.filter(key => syncValues[key] !== undefined);
+        for (const [key, value] of Object.entries(planMigration(localValues, syncValues))) {
+            try {
+                await chrome.storage.sync.set({ [key]: value });
+                migrated.push(key);
+            } catch {
+                // 容量の上限などで書き込めない設定は local に残す
+            }
+        }
+        if (migrated.length > 0) {
+            await chrome.storage.local.remove(migrated);
+        }
+    }
+
+    // ============================================================================
+    // エクスポート・インポート
+    // ============================================================================
+
+    /**
+     * すべての設定（カスタムパターンを含む）と履歴をエクスポート用のデータにする
+     * @returns {Promise<{format: string, version: number, exportedAt: string, settings: object, history: object[]}>}
+     */
+    async function exportBackup() {
+        const [settings, local] = await Promise.all([
+            get([...SYNC_KEYS]),
+            chrome.storage.local.get([STORAGE_KEYS.WORLD_HISTORY])
+        ]);
+        const history = local[STORAGE_KEYS.WORLD_HISTORY];
+        return {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            exportedAt: new Date().toISOString(),
+            settings,
+            history: Array.isArray(history) ? history : []
+        };
+    }
+
+    /**
+     * エクスポートしたデータを読み込める形に整える
+     * 知らない設定は取り除く（履歴の各項目の検証はService Workerで保存するときに行う）
+     * @param {*} data - JSONとして読み込んだデータ
+     * @returns {{settings: object, history: object[]}|null} 設定と履歴、形式が違う場合はnull
+     */
+    function readBackup(data) {
+        if (!data || typeof data !== 'object' || data.format !== BACKUP_FORMAT) {
+            return null;
+        }
+        if (!Number.isInteger(data.version) || data.version < 1 || data.version > BACKUP_VERSION) {
+            return null;
+        }
+
+        const source = data.settings && typeof data.settings === 'object' ? data.settings : {};
+        const settings = {};
+        for (const key of SYNC_KEYS) {
+            if (source[key] !== undefined && source[key] !== null) {
+                settings[key] = source[key];
+            }
+        }
+
+        const history = Array.isArray(data.history)
+            ? data.history.filter(entry => entry && typeof entry === 'object')
+            : [];
+        return { settings, history };
+    }
+
+    // ============================================================================
+    // 公開
+    // ============================================================================
+
+    const api = Object.freeze({
+        STORAGE_KEYS,
+        SYNC_KEYS,
+        BACKUP_FORMAT,
+        BACKUP_VERSION,
+        isSyncKey,
+        isQuotaError,
+        hasChanges,
+        get,
+        set,
+        planMigration,
+        migrateToSync,
+        exportBackup,
+        readBackup
+    });
+
+    global.VRCWorldSettings = api;
+
+    // Node.js（テスト）からは require で読み込めるようにする
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    }
+})(globalThis);
@@ -0,0 +1,307 @@
+// VRC World Opener - Site Adapters
+// 対応サイトごとのDOM構造の違いを吸収する（コンテンツスクリプト・ポップアップ・Service Workerで共用）
+
+'use strict';
+
+(function (global) {
+    // ============================================================================
+    // 定数定義
+    // ============================================================================
+
+    /** X（Twitter）のホスト */
+    const X_HOSTS = ['twitter.com', 'x.com'];
+
+    /** Blueskyのホスト */
+    const BLUESKY_HOST = 'bsky.app';
+
+    /** ユーザーが追加できないホスト（組み込みのアダプターで対応済み） */
+    const RESERVED_HOSTS = [...X_HOSTS, BLUESKY_HOST];
+
+    // ============================================================================
+    // 状態管理
+    // ============================================================================
+
+    /** @type {Set<string>} 代替セレクタで見つかった要素の種類（ヘルスチェック用） */
+    const fallbackUsage = new Set();
+
+    // ============================================================================
+    // ユーティリティ関数
+    // ============================================================================
+
+    /**
+     * リンク要素のパスから投稿者を取り出してポストの情報を作る
+     * @param {HTMLAnchorElement|null|undefined} link - ポストへのリンク
+     * @param {RegExp} pathPattern - パスのパターン（1つ目のキャプチャが投稿者）
+     * @returns {{tweetUrl: string|null, tweetAuthor: string|null}} ポストの情報
+     */
+    function toPostSource(link, pathPattern) {
+        if (!link) {
+            return { tweetUrl: null, tweetAuthor: null };
+        }
+
+        const match = link.pathname.match(pathPattern);
+        return {
+            tweetUrl: `${link.origin}${link.pathname}`,
+            tweetAuthor: match && match[1] ? `@${match[1]}` : null
+        };
+    }
+
+    /**
+     * 優先順に並んだセレクタを順に試し、最初に見つかった要素を返す
+     * 2つ目以降のセレクタで見つかった場合は、サイトのDOM変更の兆候として記録する
+     * @param {ParentNode} root - 検索の起点
+     * @param {string} name - 要素の種類（POST / TEXT / ACTION_BAR など）
+     * @param {string[]} selectors - セレクタ（優先順）
+     * @returns {Element|null} 見つかった要素
+     */
+    function queryWithFallback(root, name, selectors) {
+        for (let i = 0; i < selectors.length; i++) {
+            const element = root.querySelector(selectors[i]);
+            if (element) {
+                if (i > 0) fallbackUsage.add(name);
+                return element;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 優先順に並んだセレクタを順に試し、最初に1件以上見つかったセレクタの要素をすべて返す
+     * @param {ParentNode} root - 検索の起点
+     * @param {string} name - 要素の種類
+     * @param {string[]} selectors - セレクタ（優先順）
+     * @returns {Element[]} 見つかった要素
+     */
+    function queryAllWithFallback(root, name, selectors) {
+        for (let i = 0; i < selectors.length; i++) {
+            const elements = root.querySelectorAll(selectors[i]);
+            if (elements.length > 0) {
+                if (i > 0) fallbackUsage.add(name);
+                return Array.from(elements);
+            }
+        }
+        return [];
+    }
+
+    /**
+     * 前回の呼び出し以降に代替セレクタを使った要素の種類を取得してリセットする
+     * @returns {string[]} 要素の種類
+     */
+    function drainFallbackUsage() {
+        const names = [...fallbackUsage];
+        fallbackUsage.clear();
+        return names;
+    }
+
+    /**
+     * 要素の前にボタンを挿入する
+     * @param {Element|null} anchor - 挿入位置の基準となる要素
+     * @param {Element} element - 挿入する要素
+     * @returns {boolean} 挿入できた場合はtrue
+     */
+    function insertBefore(anchor, element) {
+        if (!anchor || !anchor.parentNode) {
+            return false;
+        }
+        anchor.parentNode.insertBefore(element, anchor);
+        return true;
+    }
+
+    // ============================================================================
+    // サイトアダプター
+    // ============================================================================
+
+    /**
+     * @typedef {object} SiteAdapter
+     * @property {string} id - アダプターID
+     * @property {string} name - 表示名
+     * @property {string} hashtagLinkSelector - ハッシュタグのリンクのセレクタ（ヘルスチェック用）
+     * @property {(root: ParentNode) => Element[]} findPosts - ポストの外枠をすべて取得する
+     * @property {(post: Element) => Element|null} getTextElement - 本文の要素を取得する
+     * @property {(post: Element) => Iterable<HTMLAnchorElement>} getLinks - ワールドURLを探すリンク要素を取得する
+     * @property {(post: Element, element: Element) => boolean} insertButtons - ボタンを挿入する（挿入位置がなければfalse）
+     * @property {(post: Element) => {tweetUrl: string|null, tweetAuthor: string|null}} getPostSource - ポストのURLと投稿者を取得する
+     */
+
+    /** X（Twitter）のDOM セレクタ（優先順。Xの仕様変更時はここを修正） */
+    const X_SELECTORS = {
+        POST: [
+            '[data-testid="tweet"]',
+            'article[role="article"]',
+            'article'
+        ],
+        TEXT: [
+            '[data-testid="tweetText"]',
+            'div[lang][dir="auto"]',
+            'div[lang]'
+        ],
+        ACTION_BAR: [
+            '[role="group"]',
+            'div:has(> div > [data-testid="reply"])',
+            'div:has(> div > button[aria-label*="Reply"], > div > button[aria-label*="返信"])'
+        ]
+    };
+
+    /** @type {SiteAdapter} X（Twitter） */
+    const X_ADAPTER = {
+        id: 'x',
+        name: 'X',
+        hashtagLinkSelector: 'a[href^="/hashtag/"]',
+        findPosts: (root) => queryAllWithFallback(root, 'POST', X_SELECTORS.POST),
+        getTextElement: (post) => queryWithFallback(post, 'TEXT', X_SELECTORS.TEXT),
+        getLinks: (post) => post.querySelectorAll('a'),
+        // アクションバー（返信・リポストなど）の直前に挿入
+        insertButtons: (post, element) =>
+            insertBefore(queryWithFallback(post, 'ACTION_BAR', X_SELECTORS.ACTION_BAR), element),
+        // 投稿日時のリンクがポストのURLになっている
+        getPostSource: (post) => toPostSource(
+            post.querySelector('a[href*="/status/"] time')?.closest('a'),
+            /^\/([^/]+)\/status\/\d+/
+        )
+    };
+
+    /** @type {SiteAdapter} Bluesky */
+    const BLUESKY_ADAPTER = {
+        id: 'bluesky',
+        name: 'Bluesky',
+        hashtagLinkSelector: 'a[href^="/hashtag/"]',
+        findPosts: (root) => Array.from(
+            root.querySelectorAll('[data-testid^="feedItem-by-"], [data-testid^="postThreadItem-by-"]')
+        ),
+        getTextElement: (post) => post.querySelector('[data-testid="postText"]'),
+        getLinks: (post) => post.querySelectorAll('a'),
+        // 返信ボタンとリポストボタンを含む行（アクションバー）の直前に挿入
+        insertButtons: (post, element) => {
+            let actionBar = post.querySelector('[data-testid="replyBtn"]');
+            while (actionBar && actionBar !== post && !actionBar.querySelector('[data-testid="repostBtn"]')) {
+                actionBar = actionBar.parentElement;
+            }
+            return actionBar !== post && insertBefore(actionBar, element);
+        },
+        getPostSource: (post) => toPostSource(
+            post.querySelector('a[href^="/profile/"][href*="/post/"]'),
+            /^\/profile\/([^/]+)\/post\//
+        )
+    };
+
+    /** @type {SiteAdapter} Misskey（ユーザーが追加したホスト） */
+    const MISSKEY_ADAPTER = {
+        id: 'misskey',
+        name: 'Misskey',
+        hashtagLinkSelector: 'a[href^="/tags/"]',
+        findPosts: (root) => Array.from(root.querySelectorAll('article')),
+        // 本文のクラス名はビルドごとに変わるため、ノート全体を本文として扱う
+        getTextElement: (post) => post,
+        getLinks: (post) => post.querySelectorAll('a'),
+        // リアクション・返信などのボタンが並ぶフッターの直前に挿入
+        insertButtons: (post, element) => {
+            const footer = post.querySelector('footer');
+            if (footer) {
+                return insertBefore(footer, element);
+            }
+            post.appendChild(element);
+            return true;
+        },
+        // ノートのURL（投稿日時のリンク）と投稿者のリンクが別々にある
+        getPostSource: (post) => {
+            const noteLink = post.querySelector('a[href^="/notes/"]');
+            const userMatch = post.querySelector('a[href^="/@"]')?.pathname.match(/^\/@([^/]+)/);
+            return {
+                tweetUrl: noteLink ? `${noteLink.origin}${noteLink.pathname}` : null,
+                tweetAuthor: userMatch ? `@${userMatch[1]}` : null
+            };
+        }
+    };
+
+    /**
+     * ホスト名に対応するアダプターを取得する
+     * X・Bluesky以外はユーザーが追加したMisskeyのホストとして扱う（コンテンツスクリプトはそのホストにのみ登録される）
+     * @param {string} hostname - ホスト名
+     * @returns {SiteAdapter} アダプター
+     */
+    function findAdapter(hostname) {
+        const host = String(hostname || '').toLowerCase();
+        if (X_HOSTS.some(h => host === h || host.endsWith(`.${h}`))) {
+            return X_ADAPTER;
+        }
+        if (host === BLUESKY_HOST) {
+            return BLUESKY_ADAPTER;
+        }
+        return MISSKEY_ADAPTER;
+    }
+
+    // ============================================================================
+    // ホスト・権限
+    // ============================================================================
+
+    /**
+     * 入力されたホスト名（URLでも可）を正規化する
+     * @param {string} input - 入力値
+     * @returns {string|null} ホスト名、不正な場合や組み込みのサイトの場合はnull
+     */
+    function normalizeHost(input) {
+        if (!input || typeof input !== 'string' || input.trim().length === 0) {
+            return null;
+        }
+
+        const value = input.trim();
+        try {
+            const url = new URL(value.includes('://') ? value : `https://${value}`);
+            const host = url.hostname.toLowerCase();
+            if (url.protocol !== 'https:' || !host.includes('.') || RESERVED_HOSTS.includes(host)) {
+                return null;
+            }
+            return host;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * ホストのパーミッション用パターンを作る
+     * @param {string} host - ホスト名
+     * @returns {string} マッチパターン
+     */
+    function toOriginPattern(host) {
+        return `https://${host}/*`;
+    }
+
+    /**
+     * 設定で有効にした追加サイトのマッチパターンを取得する
+     * @param {{enableBluesky?: boolean, misskeyHosts?: string[]}} settings - サイト設定
+     * @returns {string[]} マッチパターン一覧
+     */
+    function getOptionalOrigins(settings) {
+        const origins = [];
+        if (settings && settings.enableBluesky === true) {
+            origins.push(toOriginPattern(BLUESKY_HOST));
+        }
+        if (settings && Array.isArray(settings.misskeyHosts)) {
+            origins.push(...settings.misskeyHosts.map(toOriginPattern));
+        }
+        return origins;
+    }
+
+    /**
+     * 拡張機能が動作する全サイトのマッチパターンを取得する（X + 有効にした追加サイト）
+     * @param {{enableBluesky?: boolean, misskeyHosts?: string[]}} settings - サイト設定
+     * @returns {string[]} マッチパターン一覧
+     */
+    function getAllOrigins(settings) {
+        return [...X_HOSTS.map(toOriginPattern), ...getOptionalOrigins(settings)];
+    }
+
+    // ============================================================================
+    // 公開
+    // ============================================================================
+
+    global.VRCWorldSites = Object.freeze({
+        BLUESKY_HOST,
+        findAdapter,
+        drainFallbackUsage,
+        normalizeHost,
+        toOriginPattern,
+        getOptionalOrigins,
+        getAllOrigins
+    });
+})(globalThis);
@@ -0,0 +1,150 @@
+// VRC World Opener - detection.js のテスト
+// 実行: npm test（node --test）
+
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Detection = require('../detection.js');
+const postFixtures = require('./fixtures/posts.js');
+
+// ============================================================================
+// テスト用ユーティリティ
+// ============================================================================
+
+/**
+ * テキストノードの代わりになるオブジェクトを作る
+ * @param {string} text - テキスト
+ * @returns {object} ノード
+ */
+function textNode(text) {
+    return { nodeType: 3, textContent: text };
+}
+
+/**
+ * 要素の代わりになるオブジェクトを作る
+ * @param {string} tagName - タグ名
+ * @param {object[]} [childNodes] - 子ノード
+ * @param {object} [attributes] - 属性（altなど）
+ * @returns {object} ノード
+ */
+function elementNode(tagName, childNodes = [], attributes = {}) {
+    return { nodeType: 1, tagName, childNodes, ...attributes };
+}
+
+// ============================================================================
+// ワールド名の検出（フィクスチャ）
+// ============================================================================
+
+describe('extractWorlds: フィクスチャ', () => {
+    for (const fixture of postFixtures) {
+        test(fixture.name, { todo: fixture.knownFailure }, () => {
+            assert.deepEqual(Detection.extractWorlds(fixture.text), fixture.expected);
+        });
+    }
+});
+
+describe('extractWorlds: カスタムパターン', () => {
+    test('カスタムパターンは標準パターンより優先される', () => {
+        const patterns = Detection.compileCustomPatterns([{ source: '🏠\\s*(.+?)$', flags: 'mu' }]);
+        const text = '🏠 Tiny House\nWorld: Other\n#VRChat_World紹介';
+        assert.deepEqual(Detection.extractWorlds(text, patterns), [{ worldName: 'Tiny House', authorName: null }]);
+    });
+
+    test('2つ目のキャプチャグループを作者名として扱う', () => {
+        const patterns = Detection.compileCustomPatterns([{ source: '^(.+?) - (.+)$', flags: 'm' }]);
+        assert.deepEqual(Detection.extractWorlds('Glass Bridge - Ren', patterns),
+            [{ worldName: 'Glass Bridge', authorName: 'Ren' }]);
+    });
+
+    test('無効にしたパターンと不正なパターンは使わない', () => {
+        const patterns = Detection.compileCustomPatterns([
+            { source: 'Tiny', enabled: false },
+            { source: '(unclosed' },
+            { source: 'House', flags: 'x' }
+        ]);
+        assert.equal(patterns.length, 0);
+    });
+
+    test('不正なフラグはエラーメッセージを返す', () => {
+        const { pattern, error, errorKey } = Detection.compileCustomPattern('a', 'x');
+        assert.equal(pattern, null);
+        assert.equal(errorKey, 'errorInvalidFlag');
+        assert.ok(error.length > 0);
+    });
+
+    test('不正な正規表現はエラーの種類を返す', () => {
+        const { pattern, errorKey } = Detection.compileCustomPattern('(unclosed');
+        assert.equal(pattern, null);
+        assert.equal(errorKey, 'errorInvalidRegex');
+    });
+});
+
+// ============================================================================
+// テキスト・リンク
+// ============================================================================
+
+describe('getTextWithEmoji', () => {
+    test('img要素のalt属性（絵文字）をテキストに含める', () => {
+        const element = elementNode('DIV', [
+            elementNode('IMG', [], { alt: '🌐' }),
+            textNode(' Sunset Beach\n'),
+            elementNode('SPAN', [textNode('By Hijiki')])
+        ]);
+        assert.equal(Detection.getTextWithEmoji(element), '🌐 Sunset Beach\nBy Hijiki');
+    });
+
+    test('要素がない場合は空文字を返す', () => {
+        assert.equal(Detection.getTextWithEmoji(null), '');
+    });
+});
+
+describe('extractWorldIdFromUrl', () => {
+    const worldId = 'wrld_12345678-abcd-ef01-2345-6789abcdef01';
+
+    test('ワールドページのURL', () => {
+        assert.equal(Detection.extractWorldIdFromUrl(`https://vrchat.com/home/world/${worldId}`), worldId);
+    });
+
+    test('launchページのworldIdパラメータ', () => {
+        assert.equal(
+            Detection.extractWorldIdFromUrl(`https://vrchat.com/home/launch?worldId=${worldId}&instanceId=1`),
+            worldId
+        );
+    });
+
+    test('ワールド以外のURLはnull', () => {
+        assert.equal(Detection.extractWorldIdFromUrl('https://vrchat.com/home/user/usr_123'), null);
+        assert.equal(Detection.extractWorldIdFromUrl(''), null);
+    });
+});
+
+// ============================================================================
+// ハッシュタグ
+// ============================================================================
+
+describe('hasTargetHashtag', () => {
+    const targets = Detection.DEFAULT_TARGET_HASHTAGS;
+
+    test('大文字小文字を区別しない', () => {
+        assert.equal(Detection.hasTargetHashtag('#vrchat_world紹介', targets), true);
+    });
+
+    test('全角の＃・英字・アンダースコアを半角と同じに扱う', () => {
+        assert.equal(Detection.hasTargetHashtag('＃ＶＲＣｈａｔ＿Ｗｏｒｌｄ紹介', targets), true);
+    });
+
+    test('アンダースコアの有無を区別しない', () => {
+        assert.equal(Detection.hasTargetHashtag('#VRChatWorld', targets), true);
+    });
+
+    test('対象ハッシュタグで始まるだけの別のタグは対象外', () => {
+        assert.equal(Detection.hasTargetHashtag('#VRChat_World紹介まとめ', ['#VRChat_World紹介']), false);
+    });
+
+    test('対象ハッシュタグがない場合は対象外', () => {
+        assert.equal(Detection.hasTargetHashtag('#VRChat', targets), false);
+        assert.equal(Detection.hasTargetHashtag('#VRChat_World紹介', []), false);
+    });
+});
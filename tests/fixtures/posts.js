@@ -0,0 +1,208 @@
+// VRC World Opener - ワールド名検出のフィクスチャ
+// 実際のポスト本文と、期待するワールド名・作者名の組み合わせ
+//
+// 誤検出の報告があった場合は、ここにポスト本文を追加してください。
+// すぐに直せないものは knownFailure に理由を書くと、テストは失敗扱いにならず TODO として表示されます。
+
+'use strict';
+
+/**
+ * @typedef {object} PostFixture
+ * @property {string} name - テスト名（書式の分類）
+ * @property {string} text - ポスト本文（絵文字はimg要素のalt属性から取得した状態）
+ * @property {{worldName: string, authorName: string|null}[]} expected - 期待する検出結果
+ * @property {string} [knownFailure] - 既知の誤検出の理由
+ */
+
+/** @type {PostFixture[]} */
+module.exports = [
+    // ========================================================================
+    // コロン形式
+    // ========================================================================
+    {
+        name: 'コロン形式: World: ワールド名',
+        text: 'World: Midnight Rooftop\n#VRChat_World紹介',
+        expected: [{ worldName: 'Midnight Rooftop', authorName: null }]
+    },
+    {
+        name: 'コロン形式: 全角コロンで同じ行にハッシュタグ',
+        text: 'World：夜の図書館 #VRChat_World紹介',
+        expected: [{ worldName: '夜の図書館', authorName: null }]
+    },
+    {
+        name: 'コロン形式: コロンの前後にスペース・末尾に空白',
+        text: 'World : Tea House  \n#VRChat_World紹介',
+        expected: [{ worldName: 'Tea House', authorName: null }]
+    },
+    {
+        name: 'コロン形式: 大文字のWORLD',
+        text: 'WORLD: Loud Name\n#VRChat_World紹介',
+        expected: [{ worldName: 'Loud Name', authorName: null }]
+    },
+    {
+        name: 'コロン形式: ワールド: ◯◯',
+        text: 'ワールド: 雨の駅\n#VRChat_World紹介',
+        expected: [{ worldName: '雨の駅', authorName: null }]
+    },
+    {
+        name: 'コロン形式: ワールド名：◯◯',
+        text: 'ワールド名：和室の宿\n#VRChat_World紹介',
+        expected: [{ worldName: '和室の宿', authorName: null }]
+    },
+    {
+        name: 'コロン形式: ワールド名の中の絵文字を除去',
+        text: 'World: 🌸Sakura Shrine🌸\n#VRChat_World紹介',
+        expected: [{ worldName: 'Sakura Shrine', authorName: null }]
+    },
+
+    // ========================================================================
+    // 括弧形式
+    // ========================================================================
+    {
+        name: '括弧形式: World『ワールド名』',
+        text: 'World『星降る丘』\n#VRChat_World紹介',
+        expected: [{ worldName: '星降る丘', authorName: null }]
+    },
+    {
+        name: '括弧形式: World「ワールド名」',
+        text: 'World「Cozy Cafe」\n#VRChat_World紹介',
+        expected: [{ worldName: 'Cozy Cafe', authorName: null }]
+    },
+    {
+        name: '括弧形式: World【ワールド名】',
+        text: 'World【水没都市】 #VRChat_World紹介',
+        expected: [{ worldName: '水没都市', authorName: null }]
+    },
+    {
+        name: '括弧形式: World（ワールド名）',
+        text: 'World（Forest Cabin）\n#VRChat_World紹介',
+        expected: [{ worldName: 'Forest Cabin', authorName: null }]
+    },
+
+    // ========================================================================
+    // 絵文字形式
+    // ========================================================================
+    {
+        name: '絵文字形式: 🌐 と By 作者名',
+        text: '🌐 Sunset Beach\nBy Hijiki\n#VRChat_World紹介',
+        expected: [{ worldName: 'Sunset Beach', authorName: 'Hijiki' }]
+    },
+    {
+        name: '絵文字形式: 🌍 スペースなし',
+        text: '🌍Old Town\n#VRChat_World紹介',
+        expected: [{ worldName: 'Old Town', authorName: null }]
+    },
+    {
+        name: '絵文字形式: 🌎 同じ行にハッシュタグ',
+        text: '🌎 Sky Garden #VRChat_World紹介',
+        expected: [{ worldName: 'Sky Garden', authorName: null }]
+    },
+    {
+        name: '絵文字形式: 🌏 と 作者: 作者名',
+        text: '🌏 Neon Alley\n作者: Suzuki\n#VRChat_World紹介',
+        expected: [{ worldName: 'Neon Alley', authorName: 'Suzuki' }]
+    },
+    {
+        name: '絵文字形式: 🗺️',
+        text: '🗺️ Map Room\n#VRChat_World紹介',
+        expected: [{ worldName: 'Map Room', authorName: null }]
+    },
+
+    // ========================================================================
+    // 日本語表記（スペース区切り）・英語形式
+    // ========================================================================
+    {
+        name: 'スペース区切り: ワールド名　◯◯（全角スペース）',
+        text: 'ワールド名　桜並木\n#VRChat_World紹介',
+        expected: [{ worldName: '桜並木', authorName: null }]
+    },
+    {
+        name: '英語形式: World name: ◯◯',
+        text: 'World name: Crystal Cave\n#VRChat_World紹介',
+        expected: [{ worldName: 'Crystal Cave', authorName: null }]
+    },
+
+    // ========================================================================
+    // 作者付き形式
+    // ========================================================================
+    {
+        name: '作者付き形式: ワールド名（改行）By 作者名',
+        text: 'Quiet Harbor\nBy harbor_maker\n#VRChat_World紹介',
+        expected: [{ worldName: 'Quiet Harbor', authorName: 'harbor_maker' }]
+    },
+    {
+        name: '作者付き形式: ワールド名（改行）Author: 作者名',
+        text: 'Quiet Harbor\nAuthor: harbor_maker\n#VRChat_World紹介',
+        expected: [{ worldName: 'Quiet Harbor', authorName: 'harbor_maker' }]
+    },
+    {
+        name: '作者付き形式: @付きの作者名と敬称を除去',
+        text: '🌐 Paper Town\nBy @paper_maker さん\n#VRChat_World紹介',
+        expected: [{ worldName: 'Paper Town', authorName: 'paper_maker' }]
+    },
+
+    // ========================================================================
+    // 複数ワールド・by を含む名前
+    // ========================================================================
+    {
+        name: '複数ワールド: 同じ書式の繰り返し（作者名はワールドごと）',
+        text: '今週のおすすめ\n🌐 World A\nBy Alice\n🌐 World B\nBy Bob\n#VRChat_World紹介',
+        expected: [
+            { worldName: 'World A', authorName: 'Alice' },
+            { worldName: 'World B', authorName: 'Bob' }
+        ]
+    },
+    {
+        name: '複数ワールド: 同じワールド名は1つにまとめる',
+        text: 'World: Lobby\nWorld: lobby\n#VRChat_World紹介',
+        expected: [{ worldName: 'Lobby', authorName: null }]
+    },
+    {
+        name: 'by を含むワールド名は分割しない（分割はAPIで作者を確認してから行う）',
+        text: 'World: Side by Side\n#VRChat_World紹介',
+        expected: [{ worldName: 'Side by Side', authorName: null }]
+    },
+
+    // ========================================================================
+    // 検出しないもの
+    // ========================================================================
+    {
+        name: '書式のない感想ポストは検出しない',
+        text: '今日はここに行きました！とても綺麗でした\n#VRChat_World紹介',
+        expected: []
+    },
+
+    // ========================================================================
+    // 既知の誤検出
+    // ========================================================================
+    {
+        name: '既知の誤検出: 文中の鉤括弧で書かれたワールド名',
+        text: '「夜空の展望台」というワールドが良かった #VRChat_World紹介',
+        expected: [{ worldName: '夜空の展望台', authorName: null }],
+        knownFailure: '書式のない文章からはワールド名の範囲を特定できない'
+    },
+    {
+        name: '既知の誤検出: ワールド名のみの行',
+        text: 'ワールド紹介です！\n\nMoonlight Pier\n\n#VRChat_World紹介',
+        expected: [{ worldName: 'Moonlight Pier', authorName: null }],
+        knownFailure: '目印になる書式がないため、どの行がワールド名か判断できない'
+    },
+    {
+        name: '既知の誤検出: スラッシュ区切りの作者名',
+        text: '🌐 Night Pool / Mizuki\n#VRChat_World紹介',
+        expected: [{ worldName: 'Night Pool', authorName: 'Mizuki' }],
+        knownFailure: '「/」を含むワールド名と区別できないため分割していない'
+    },
+    {
+        name: '既知の誤検出: 丸括弧内の by 作者名',
+        text: 'World: Museum (by Taro)\n#VRChat_World紹介',
+        expected: [{ worldName: 'Museum', authorName: 'Taro' }],
+        knownFailure: '末尾の閉じ括弧だけが除去され「Museum (by Taro」になる'
+    },
+    {
+        name: '既知の誤検出: ワールド名 の後に鉤括弧',
+        text: 'ワールド名 「Lantern Street」\nby Kaede\n#VRChat_World紹介',
+        expected: [{ worldName: 'Lantern Street', authorName: 'Kaede' }],
+        knownFailure: 'スペース区切り形式として扱われ、開き括弧が名前に残る'
+    }
+];
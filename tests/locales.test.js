@@ -0,0 +1,116 @@
+// VRC World Opener - _locales のメッセージファイルと i18n.js のテスト
+// 実行: npm test（node --test）
+
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const I18n = require('../i18n.js');
+
+const ROOT = path.join(__dirname, '..');
+
+// ============================================================================
+// テスト用ユーティリティ
+// ============================================================================
+
+/**
+ * メッセージファイルを読み込む
+ * @param {string} language - 言語
+ * @returns {Object<string, {message: string}>} メッセージファイルの内容
+ */
+function readMessages(language) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, '_locales', language, 'messages.json'), 'utf8'));
+}
+
+/**
+ * メッセージ中の $1〜$9 を列挙する
+ * @param {string} message - メッセージ
+ * @returns {string[]} 重複を除いて並べ替えた置き換え位置
+ */
+function listSubstitutions(message) {
+    return [...new Set(message.match(/\$[1-9]/g) || [])].sort();
+}
+
+/**
+ * ソースコード・HTML・manifest.json で使っているメッセージキーを列挙する
+ * @returns {Set<string>} メッセージキー
+ */
+function listUsedKeys() {
+    const patterns = [
+        /I18n\.t\('([A-Za-z0-9_]+)'/g,
+        /data-i18n(?:-[a-z-]+)?="([A-Za-z0-9_]+)"/g,
+        /__MSG_([A-Za-z0-9_]+)__/g
+    ];
+    const files = fs.readdirSync(ROOT).filter(file => /\.(js|html|json)$/.test(file));
+    const keys = new Set();
+    for (const file of files) {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        for (const pattern of patterns) {
+            for (const match of source.matchAll(pattern)) {
+                keys.add(match[1]);
+            }
+        }
+    }
+    return keys;
+}
+
+const messagesByLanguage = Object.fromEntries(I18n.LANGUAGES.map(language => [language, readMessages(language)]));
+
+// ============================================================================
+// メッセージファイル
+// ============================================================================
+
+describe('_locales', () => {
+    const [baseLanguage, ...otherLanguages] = I18n.LANGUAGES;
+    const baseMessages = messagesByLanguage[baseLanguage];
+
+    for (const language of otherLanguages) {
+        test(`${language} は ${baseLanguage} と同じキーを持つ`, () => {
+            assert.deepEqual(Object.keys(messagesByLanguage[language]).sort(), Object.keys(baseMessages).sort());
+        });
+
+        test(`${language} は ${baseLanguage} と同じ位置に値を入れる`, () => {
+            for (const [key, { message }] of Object.entries(baseMessages)) {
+                assert.deepEqual(listSubstitutions(messagesByLanguage[language][key].message), listSubstitutions(message), key);
+            }
+        });
+    }
+
+    test('名前付きプレースホルダー（$name$）を含まない', () => {
+        // chrome.i18n は $name$ を placeholders の定義として読み、定義がないと拡張機能を読み込めない
+        for (const [language, messages] of Object.entries(messagesByLanguage)) {
+            for (const [key, { message }] of Object.entries(messages)) {
+                assert.doesNotMatch(message, /\$[A-Za-z0-9_@]+\$/, `${language}: ${key}`);
+            }
+        }
+    });
+
+    test('languageCode はディレクトリ名と同じ', () => {
+        for (const [language, messages] of Object.entries(messagesByLanguage)) {
+            assert.equal(messages.languageCode.message, language);
+        }
+    });
+
+    test('コードで使っているキーがすべてある', () => {
+        const missing = [...listUsedKeys()].filter(key => !Object.hasOwn(baseMessages, key));
+        assert.deepEqual(missing, []);
+    });
+});
+
+// ============================================================================
+// i18n.js
+// ============================================================================
+
+describe('I18n.t', () => {
+    test('$1〜$9 を置き換える', () => {
+        assert.equal(I18n.t('errorHostPermission', 'misskey.io'), 'misskey.io へのアクセスが許可されませんでした');
+        assert.equal(I18n.t('cacheStats', [3, 1]), 'キャッシュ 3件 / 記憶した選択 1件');
+    });
+
+    test('ないキーは空文字', () => {
+        assert.equal(I18n.t('noSuchMessage'), '');
+    });
+});
@@ -0,0 +1,125 @@
+// VRC World Opener - matching.js のテスト
+// 実行: npm test（node --test）
+
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Matching = require('../matching.js');
+
+// ============================================================================
+// 正規化
+// ============================================================================
+
+describe('normalizeName', () => {
+    test('全角の英数字・空白を半角にし、小文字にする', () => {
+        assert.equal(Matching.normalizeName('ＳＡＫＵＲＡ　Ｓｈｒｉｎｅ'), 'sakura shrine');
+    });
+
+    test('波ダッシュとチルダを ~ に揃える', () => {
+        assert.equal(Matching.normalizeName('星降る丘〜夜〜'), '星降る丘~夜~');
+        assert.equal(Matching.normalizeName('星降る丘～夜～'), '星降る丘~夜~');
+    });
+
+    test('ダッシュの種類をハイフンに揃え、長音符は残す', () => {
+        assert.equal(Matching.normalizeName('Night—Pool'), 'night-pool');
+        assert.equal(Matching.normalizeName('ルーム−2'), 'ルーム-2');
+    });
+
+    test('飾りの記号と絵文字を除き、空白をまとめる', () => {
+        assert.equal(Matching.normalizeName('☆ Cozy   Cafe ♪ 🌸'), 'cozy cafe');
+    });
+});
+
+// ============================================================================
+// 類似度・一致度
+// ============================================================================
+
+describe('similarity', () => {
+    test('表記ゆれだけの違いは 1（完全一致）', () => {
+        assert.equal(Matching.similarity('🌸Sakura Shrine🌸', 'Sakura Shrine'), 1);
+        assert.equal(Matching.similarity('Midnight Roof top', 'Midnight Rooftop'), 1);
+        assert.equal(Matching.isSameName('星降る丘～夜～', '星降る丘〜夜〜'), true);
+    });
+
+    test('副題の有無や1文字の誤字は「ほぼ同じ」', () => {
+        const subtitle = Matching.similarity('Sakura Shrine', 'Sakura Shrine ~Spring~');
+        const typo = Matching.similarity('Neon Alley', 'Neon Aley');
+        assert.equal(Matching.classifyMatch(subtitle), Matching.MATCH_LEVELS.LIKELY);
+        assert.equal(Matching.classifyMatch(typo), Matching.MATCH_LEVELS.LIKELY);
+    });
+
+    test('語順が違うだけの名前は完全一致にしない', () => {
+        const score = Matching.similarity('Old Town', 'Town Old');
+        assert.ok(score < 1);
+        assert.equal(Matching.classifyMatch(score), Matching.MATCH_LEVELS.LIKELY);
+    });
+
+    test('別の名前は推測扱い', () => {
+        assert.equal(Matching.classifyMatch(Matching.similarity('Tea House', 'Old Town')), Matching.MATCH_LEVELS.GUESS);
+    });
+
+    test('近い名前ほど高い値になる', () => {
+        const close = Matching.similarity('夜の図書館', '夜の図書室');
+        const far = Matching.similarity('夜の図書館', '昼の公園');
+        assert.ok(close > far);
+    });
+
+    test('記号だけの名前は記号どうしで比べる', () => {
+        assert.equal(Matching.similarity('☆☆', '☆☆'), 1);
+        assert.equal(Matching.similarity('☆☆', '★★'), 0);
+    });
+
+    test('空の名前は一致しない', () => {
+        assert.equal(Matching.similarity('', ''), 0);
+        assert.equal(Matching.isSameName(null, 'World'), false);
+    });
+});
+
+describe('editDistance', () => {
+    test('サロゲートペアを1文字として数える', () => {
+        assert.equal(Matching.editDistance('𩸽の店', '鮭の店'), 1);
+        assert.equal(Matching.editDistance('kitten', 'sitting'), 3);
+    });
+});
+
+// ============================================================================
+// 再検索用の検索語
+// ============================================================================
+
+describe('listFallbackQueries', () => {
+    const { FALLBACK_STRATEGIES } = Matching;
+
+    test('副題・括弧・バージョン表記を順に重ねて除く', () => {
+        assert.deepEqual(Matching.listFallbackQueries('【限定】Sakura Shrine - Spring v2'), [
+            { strategy: FALLBACK_STRATEGIES.DROP_SUBTITLE, query: '【限定】Sakura Shrine' },
+            { strategy: FALLBACK_STRATEGIES.REMOVE_BRACKETS, query: 'Sakura Shrine' },
+            { strategy: FALLBACK_STRATEGIES.LONGEST_TOKEN, query: 'Sakura' }
+        ]);
+    });
+
+    test('波ダッシュで始まる副題を除く', () => {
+        assert.deepEqual(Matching.listFallbackQueries('星降る丘～夜～'), [
+            { strategy: FALLBACK_STRATEGIES.DROP_SUBTITLE, query: '星降る丘' }
+        ]);
+    });
+
+    test('末尾のバージョン表記を除く', () => {
+        const queries = Matching.listFallbackQueries('Neon Alley Ver.1.2');
+        assert.deepEqual(queries[0], { strategy: FALLBACK_STRATEGIES.REMOVE_VERSION, query: 'Neon Alley' });
+    });
+
+    test('日本語と英語が混ざった名前はそれぞれの部分でも検索する', () => {
+        const queries = Matching.listFallbackQueries('夜の図書館 Night Library');
+        assert.deepEqual(queries.slice(-2), [
+            { strategy: FALLBACK_STRATEGIES.JAPANESE_PART, query: '夜の図書館' },
+            { strategy: FALLBACK_STRATEGIES.ENGLISH_PART, query: 'Night Library' }
+        ]);
+    });
+
+    test('これ以上短くできない名前は再検索しない', () => {
+        assert.deepEqual(Matching.listFallbackQueries('水没都市'), []);
+        assert.deepEqual(Matching.listFallbackQueries('(Night)'), []);
+    });
+});
@@ -0,0 +1,104 @@
+// VRC World Opener - settings.js のテスト
+// 実行: npm test（node --test）
+
+'use strict';
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Settings = require('../settings.js');
+
+const { STORAGE_KEYS } = Settings;
+
+// ============================================================================
+// 保存先の振り分け
+// ============================================================================
+
+describe('isSyncKey', () => {
+    test('ログイン状態・キャッシュ・履歴は sync に保存しない', () => {
+        assert.equal(Settings.isSyncKey(STORAGE_KEYS.CUSTOM_PATTERNS), true);
+        assert.equal(Settings.isSyncKey(STORAGE_KEYS.UI_LANGUAGE), true);
+        assert.equal(Settings.isSyncKey(STORAGE_KEYS.IS_AUTHENTICATED), false);
+        assert.equal(Settings.isSyncKey(STORAGE_KEYS.WORLD_CACHE), false);
+        assert.equal(Settings.isSyncKey(STORAGE_KEYS.WORLD_HISTORY), false);
+    });
+});
+
+describe('hasChanges', () => {
+    const changes = { [STORAGE_KEYS.TARGET_HASHTAGS]: { newValue: ['#VRChat'] } };
+
+    test('sync・local のどちらの変更も対象', () => {
+        assert.equal(Settings.hasChanges(changes, 'sync', [STORAGE_KEYS.TARGET_HASHTAGS]), true);
+        assert.equal(Settings.hasChanges(changes, 'local', [STORAGE_KEYS.TARGET_HASHTAGS]), true);
+        assert.equal(Settings.hasChanges(changes, 'session', [STORAGE_KEYS.TARGET_HASHTAGS]), false);
+    });
+
+    test('移行で削除された設定（newValue なし）も変更として扱う', () => {
+        const removed = { [STORAGE_KEYS.EXTENSION_ENABLED]: { oldValue: false } };
+        assert.equal(Settings.hasChanges(removed, 'local', [STORAGE_KEYS.EXTENSION_ENABLED]), true);
+        assert.equal(Settings.hasChanges(removed, 'local', [STORAGE_KEYS.SHOW_OPEN_BTN]), false);
+    });
+});
+
+// ============================================================================
+// local から sync への移行
+// ============================================================================
+
+describe('planMigration', () => {
+    test('sync にない設定だけを書き込む', () => {
+        const local = {
+            [STORAGE_KEYS.EXTENSION_ENABLED]: false,
+            [STORAGE_KEYS.MY_PLATFORM]: 'android',
+            [STORAGE_KEYS.WORLD_HISTORY]: [{ id: 'a' }]
+        };
+        const sync = { [STORAGE_KEYS.MY_PLATFORM]: 'standalonewindows' };
+        assert.deepEqual(Settings.planMigration(local, sync), { [STORAGE_KEYS.EXTENSION_ENABLED]: false });
+    });
+
+    test('sync の1項目（8KB）に収まらない設定は local に残す', () => {
+        const local = {
+            [STORAGE_KEYS.CUSTOM_PATTERNS]: [{ id: 'p1', source: 'x'.repeat(9000), flags: 'm', enabled: true }],
+            [STORAGE_KEYS.TARGET_HASHTAGS]: ['#VRChat']
+        };
+        assert.deepEqual(Settings.planMigration(local, {}), { [STORAGE_KEYS.TARGET_HASHTAGS]: ['#VRChat'] });
+    });
+
+    test('local に設定がなければ何も書き込まない', () => {
+        assert.deepEqual(Settings.planMigration({}, {}), {});
+    });
+});
+
+// ============================================================================
+// エクスポートしたデータの読み込み
+// ============================================================================
+
+describe('readBackup', () => {
+    const backup = {
+        format: Settings.BACKUP_FORMAT,
+        version: Settings.BACKUP_VERSION,
+        exportedAt: '2026-10-19T00:00:00.000Z',
+        settings: {
+            [STORAGE_KEYS.CUSTOM_PATTERNS]: [{ id: 'p1', source: '🏠\\s*(.+?)$', flags: 'm', enabled: true }],
+            [STORAGE_KEYS.HISTORY_LIMIT]: 500,
+            [STORAGE_KEYS.IS_AUTHENTICATED]: true,
+            unknownSetting: 1
+        },
+        history: [{ id: 'h1', type: 'open', worldId: 'wrld_1', timestamp: 1 }, null, 'text']
+    };
+
+    test('知らない設定・ログイン状態と、オブジェクトでない履歴を取り除く', () => {
+        assert.deepEqual(Settings.readBackup(backup), {
+            settings: {
+                [STORAGE_KEYS.CUSTOM_PATTERNS]: backup.settings[STORAGE_KEYS.CUSTOM_PATTERNS],
+                [STORAGE_KEYS.HISTORY_LIMIT]: 500
+            },
+            history: [backup.history[0]]
+        });
+    });
+
+    test('形式が違う・新しいバージョンのファイルは読み込まない', () => {
+        assert.equal(Settings.readBackup(null), null);
+        assert.equal(Settings.readBackup({ ...backup, format: 'other' }), null);
+        assert.equal(Settings.readBackup({ ...backup, version: Settings.BACKUP_VERSION + 1 }), null);
+    });
+});